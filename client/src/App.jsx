@@ -6,7 +6,11 @@ import AskQuestion from './pages/AskQuestion';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import QuestionPage from './pages/QuestionPage';
+import QuestionRevisions from './pages/QuestionRevisions';
 import Register from './pages/Register';
+import Settings from './pages/Settings';
+import UserProfile from './pages/UserProfile';
+import Users from './pages/Users';
 
 function App() {
   return (
@@ -20,6 +24,10 @@ function App() {
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
             <Route path="/question/:id" element={<QuestionPage />} />
+            <Route path="/question/:id/revisions" element={<QuestionRevisions />} />
+            <Route path="/users" element={<Users />} />
+            <Route path="/user/:username" element={<UserProfile />} />
+            <Route path="/settings" element={<Settings />} />
           </Routes>
         </main>
         <NotificationDropdown />
@@ -13,7 +13,7 @@ function Navbar() {
     if (token) {
       axios.get('/api/users/me', {
         headers: { Authorization: `Bearer ${token}` },
-      }).then(res => setUser(res.data));
+      }).then(res => setUser(res.data.data));
       // Poll notifications every 30 seconds
       const fetchNotifications = async () => {
         const res = await axios.get('/api/notifications', {
@@ -38,6 +38,7 @@ function Navbar() {
       <div className="container mx-auto flex justify-between items-center">
         <Link to="/" className="text-xl font-bold">StackIt</Link>
         <div className="flex items-center gap-4">
+          <Link to="/users" className="hover:underline">Users</Link>
           {user ? (
             <>
               <Link to="/ask" className="hover:underline">Ask Question</Link>
@@ -48,7 +49,8 @@ function Navbar() {
                 )}
                 <NotificationDropdown notifications={notifications} />
               </div>
-              <span>{user.username}</span>
+              <Link to={`/user/${user.username}`} className="hover:underline">{user.username}</Link>
+              <Link to="/settings" className="hover:underline">Settings</Link>
               <button onClick={handleLogout} className="hover:underline">Logout</button>
             </>
           ) : (
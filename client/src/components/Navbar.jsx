@@ -22,11 +22,13 @@ function Navbar() {
       <div className="container mx-auto flex justify-between items-center">
         <Link to="/" className="text-xl font-bold">StackIt</Link>
         <div className="flex items-center gap-4">
+          <Link to="/users" className="hover:underline">Users</Link>
           {user ? (
             <>
               <Link to="/ask" className="hover:underline">Ask Question</Link>
               <span className="text-sm cursor-pointer">🔔</span>
-              <span>{user.username}</span>
+              <Link to={`/user/${user.username}`} className="hover:underline">{user.username}</Link>
+              <Link to="/settings" className="hover:underline">Settings</Link>
               <button onClick={handleLogout} className="hover:underline">Logout</button>
             </>
           ) : (
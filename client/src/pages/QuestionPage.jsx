@@ -1,13 +1,29 @@
-import { ArrowDown, ArrowUp, Bookmark, Calendar, Share2, User } from 'lucide-react';
+import axios from 'axios';
+import { ArrowDown, ArrowUp, Bookmark, Calendar, Lock, Share2, User } from 'lucide-react';
 import { useEffect, useState } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+
+const CLOSE_REASONS = {
+  'duplicate': 'Duplicate',
+  'off-topic': 'Off-topic',
+  'too-broad': 'Needs more focus',
+  'unclear': 'Needs details or clarity',
+  'spam': 'Spam'
+};
+
+// Question IDs in pasted question links or IDs
+const parseQuestionIds = (text) => [...new Set(text.match(/[a-f\d]{24}/gi) || [])];
 
 const QuestionPage = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
   const [question, setQuestion] = useState(null);
   const [answers, setAnswers] = useState([]);
   const [newAnswer, setNewAnswer] = useState('');
   const [loading, setLoading] = useState(true);
+  const [closeReason, setCloseReason] = useState('duplicate');
+  const [duplicateLinks, setDuplicateLinks] = useState('');
+  const [closeVoteStatus, setCloseVoteStatus] = useState(null);
 
   // Demo data for now - we'll replace with API calls later
   useEffect(() => {
@@ -21,7 +37,13 @@ const QuestionPage = () => {
         createdAt: "2024-01-15T10:30:00Z",
         votes: 15,
         tags: ["react", "authentication", "javascript", "security"],
-        views: 234
+        views: 234,
+        isClosed: false,
+        closedReason: null,
+        closedAt: null,
+        duplicateOf: [],
+        linkedDuplicates: [],
+        mergedInto: null
       });
       
       setAnswers([
@@ -47,6 +69,13 @@ const QuestionPage = () => {
     }, 1000);
   }, [id]);
 
+  // Merged questions redirect to the question they were merged into
+  useEffect(() => {
+    if (question?.mergedInto) {
+      navigate(`/question/${question.mergedInto}`, { replace: true });
+    }
+  }, [question, navigate]);
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -80,6 +109,25 @@ const QuestionPage = () => {
     setNewAnswer('');
   };
 
+  const handleCloseVote = async (action) => {
+    const token = localStorage.getItem('token');
+
+    try {
+      const res = await axios.post(
+        `/api/questions/${id}/${action}-votes`,
+        action === 'close'
+          ? { reason: closeReason, ...(closeReason === 'duplicate' && { duplicateOf: parseQuestionIds(duplicateLinks) }) }
+          : {},
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      const { isClosed, closedReason, closedAt, duplicateOf } = res.data.data;
+      setQuestion(prev => ({ ...prev, isClosed, closedReason, closedAt, duplicateOf }));
+      setCloseVoteStatus({ type: 'success', message: res.data.message });
+    } catch (err) {
+      setCloseVoteStatus({ type: 'error', message: err.response?.data?.message || 'Could not record your vote.' });
+    }
+  };
+
   if (loading) {
     return (
       <div className="max-w-4xl mx-auto">
@@ -106,6 +154,44 @@ const QuestionPage = () => {
 
   return (
     <div className="max-w-4xl mx-auto">
+      {/* Duplicate banner */}
+      {question.isClosed && question.closedReason === 'duplicate' && question.duplicateOf.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6 flex items-start">
+          <Lock className="h-5 w-5 text-yellow-700 mr-3 mt-0.5" />
+          <div className="text-sm text-yellow-900">
+            <p className="font-semibold mb-1">This question already has answers here:</p>
+            <ul className="list-disc ml-5 mb-1">
+              {question.duplicateOf.map(target => (
+                <li key={target._id}>
+                  <Link to={`/question/${target._id}`} className="text-blue-600 hover:underline">{target.title}</Link>
+                </li>
+              ))}
+            </ul>
+            <p>
+              Closed as a duplicate{question.closedAt && ` ${formatDate(question.closedAt)}`}.
+              {' '}If those answers do not solve your problem, edit the question to explain why.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Close banner */}
+      {question.isClosed && !(question.closedReason === 'duplicate' && question.duplicateOf.length > 0) && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6 flex items-start">
+          <Lock className="h-5 w-5 text-yellow-700 mr-3 mt-0.5" />
+          <div className="text-sm text-yellow-900">
+            <p className="font-semibold">
+              Closed. {CLOSE_REASONS[question.closedReason] || 'This question is closed'}
+            </p>
+            <p>
+              This question is not accepting answers.
+              {question.closedAt && ` Closed ${formatDate(question.closedAt)}.`}
+              {' '}Edit it to address the reason, and it can be voted to reopen.
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Question */}
       <div className="bg-white rounded-lg shadow-md border border-gray-200 mb-6">
         <div className="p-6">
@@ -121,6 +207,7 @@ const QuestionPage = () => {
               {formatDate(question.createdAt)}
             </div>
             <div>{question.views} views</div>
+            <Link to={`/question/${id}/revisions`} className="text-blue-600 hover:underline">History</Link>
           </div>
 
           <div className="prose max-w-none mb-6">
@@ -164,10 +251,67 @@ const QuestionPage = () => {
                 Share
               </button>
             </div>
+            {localStorage.getItem('token') && (
+              question.isClosed ? (
+                <button
+                  onClick={() => handleCloseVote('reopen')}
+                  className="text-sm text-gray-500 hover:text-blue-600"
+                >
+                  Vote to reopen
+                </button>
+              ) : (
+                <div className="flex items-center space-x-2 text-sm">
+                  <select
+                    value={closeReason}
+                    onChange={(e) => setCloseReason(e.target.value)}
+                    className="border rounded px-2 py-1 text-gray-700"
+                  >
+                    {Object.entries(CLOSE_REASONS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {closeReason === 'duplicate' && (
+                    <input
+                      type="text"
+                      value={duplicateLinks}
+                      onChange={(e) => setDuplicateLinks(e.target.value)}
+                      placeholder="Links to the original questions"
+                      className="border rounded px-2 py-1 text-gray-700"
+                    />
+                  )}
+                  <button
+                    onClick={() => handleCloseVote('close')}
+                    className="text-gray-500 hover:text-red-600"
+                  >
+                    Vote to close
+                  </button>
+                </div>
+              )
+            )}
           </div>
+          {closeVoteStatus && (
+            <p className={`text-sm mt-3 ${closeVoteStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+              {closeVoteStatus.message}
+            </p>
+          )}
         </div>
       </div>
 
+      {/* Linked duplicates */}
+      {question.linkedDuplicates.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 mb-6 p-6">
+          <h2 className="text-sm font-semibold text-gray-500 mb-3">Linked duplicates</h2>
+          <ul className="space-y-2 text-sm">
+            {question.linkedDuplicates.map(duplicate => (
+              <li key={duplicate._id} className="flex items-center">
+                <span className="w-10 text-gray-500">{duplicate.votes}</span>
+                <Link to={`/question/${duplicate._id}`} className="text-blue-600 hover:underline">{duplicate.title}</Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Answers */}
       <div className="mb-8">
         <h2 className="text-xl font-bold text-gray-900 mb-4">
@@ -227,28 +371,30 @@ const QuestionPage = () => {
       </div>
 
       {/* Add Answer Form */}
-      <div className="bg-white rounded-lg shadow-md border border-gray-200">
-        <div className="p-6">
-          <h3 className="text-lg font-bold text-gray-900 mb-4">Your Answer</h3>
-          <form onSubmit={handleSubmitAnswer}>
-            <textarea
-              value={newAnswer}
-              onChange={(e) => setNewAnswer(e.target.value)}
-              placeholder="Write your answer here..."
-              className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
-              required
-            />
-            <div className="mt-4">
-              <button
-                type="submit"
-                className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
-              >
-                Post Your Answer
-              </button>
-            </div>
-          </form>
+      {!question.isClosed && (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200">
+          <div className="p-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-4">Your Answer</h3>
+            <form onSubmit={handleSubmitAnswer}>
+              <textarea
+                value={newAnswer}
+                onChange={(e) => setNewAnswer(e.target.value)}
+                placeholder="Write your answer here..."
+                className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                required
+              />
+              <div className="mt-4">
+                <button
+                  type="submit"
+                  className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
+                >
+                  Post Your Answer
+                </button>
+              </div>
+            </form>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
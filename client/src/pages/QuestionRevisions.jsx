@@ -0,0 +1,200 @@
+import axios from 'axios';
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+const KIND_LABELS = {
+  create: 'Asked',
+  edit: 'Edited',
+  rollback: 'Rolled back'
+};
+
+const SEGMENT_STYLES = {
+  insert: 'bg-green-100 text-green-900',
+  delete: 'bg-red-100 text-red-900 line-through'
+};
+
+const authHeaders = () => {
+  const token = localStorage.getItem('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+// Word-level diff segments from the server, shown as source text
+function DiffText({ segments }) {
+  return (
+    <span className="whitespace-pre-wrap break-words">
+      {segments.map((segment, index) => (
+        <span key={index} className={SEGMENT_STYLES[segment.type] || ''}>{segment.value}</span>
+      ))}
+    </span>
+  );
+}
+
+function QuestionRevisions() {
+  const { id } = useParams();
+  const [revisions, setRevisions] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [selection, setSelection] = useState({ from: null, to: null });
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+
+  const loadRevisions = useCallback((from, to) => {
+    const params = {};
+    if (to) params.to = to;
+    if (from) params.from = from;
+
+    return axios.get(`/api/questions/${id}/revisions`, { params })
+      .then(res => {
+        setRevisions(res.data.data.revisions);
+        setDiff(res.data.data.diff);
+        setSelection({ from: res.data.data.diff.from, to: res.data.data.diff.to });
+        setError('');
+      })
+      .catch(err => setError(err.response?.data?.message || 'Could not load revisions.'));
+  }, [id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const handleCompare = (e) => {
+    e.preventDefault();
+    loadRevisions(selection.from, selection.to);
+  };
+
+  const handleRollback = async (revision) => {
+    if (!window.confirm(`Restore the title, body and tags of revision ${revision}?`)) return;
+
+    try {
+      setRollingBack(true);
+      const res = await axios.post(`/api/questions/${id}/revisions/${revision}/rollback`, {}, {
+        headers: authHeaders()
+      });
+      setStatus({ type: 'success', message: res.data.message });
+      await loadRevisions();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.response?.data?.message || 'Could not roll back.' });
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">{error}</h1>
+        <Link to={`/question/${id}`} className="text-blue-600 hover:text-blue-700">Back to question</Link>
+      </div>
+    );
+  }
+
+  if (!diff) {
+    return <div className="max-w-4xl mx-auto py-16 text-center text-gray-500">Loading revisions...</div>;
+  }
+
+  const latest = revisions[revisions.length - 1];
+  const loggedIn = !!localStorage.getItem('token');
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Revision history</h1>
+        <Link to={`/question/${id}`} className="text-blue-600 hover:underline text-sm">Back to question</Link>
+      </div>
+
+      <form onSubmit={handleCompare} className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-6 flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-gray-700">Compare revision</span>
+        <select
+          value={selection.from || ''}
+          onChange={(e) => setSelection(prev => ({ ...prev, from: e.target.value ? parseInt(e.target.value) : null }))}
+          className="border rounded px-2 py-1"
+        >
+          <option value="">(empty)</option>
+          {revisions.map(revision => (
+            <option key={revision.revision} value={revision.revision}>{revision.revision}</option>
+          ))}
+        </select>
+        <span className="text-gray-700">with</span>
+        <select
+          value={selection.to || ''}
+          onChange={(e) => setSelection(prev => ({ ...prev, to: parseInt(e.target.value) }))}
+          className="border rounded px-2 py-1"
+        >
+          {revisions.map(revision => (
+            <option key={revision.revision} value={revision.revision}>{revision.revision}</option>
+          ))}
+        </select>
+        <button type="submit" className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">Compare</button>
+      </form>
+
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-6">
+        <h2 className="text-sm font-semibold text-gray-500 mb-3">
+          {diff.from ? `Changes from revision ${diff.from} to ${diff.to}` : `Revision ${diff.to}`}
+        </h2>
+        <h3 className="text-xl font-bold text-gray-900 mb-4"><DiffText segments={diff.title} /></h3>
+        <div className="text-sm text-gray-700 font-mono mb-4"><DiffText segments={diff.content} /></div>
+        <div className="flex flex-wrap gap-2">
+          {diff.tags.unchanged.map(tag => (
+            <span key={tag} className="px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full">{tag}</span>
+          ))}
+          {diff.tags.added.map(tag => (
+            <span key={tag} className="px-3 py-1 bg-green-100 text-green-800 text-sm rounded-full">+{tag}</span>
+          ))}
+          {diff.tags.removed.map(tag => (
+            <span key={tag} className="px-3 py-1 bg-red-100 text-red-800 text-sm rounded-full line-through">{tag}</span>
+          ))}
+        </div>
+      </div>
+
+      {status && (
+        <p className={`text-sm mb-4 ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{status.message}</p>
+      )}
+
+      <ul className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y">
+        {[...revisions].reverse().map(revision => (
+          <li key={revision.revision} className="p-4 flex items-start gap-4">
+            <span className="text-lg font-semibold text-gray-400 w-8">{revision.revision}</span>
+            <div className="flex-1">
+              <div className="text-sm text-gray-900">
+                {KIND_LABELS[revision.kind] || revision.kind}
+                {revision.rolledBackTo && ` to revision ${revision.rolledBackTo}`}
+                {' by '}
+                {revision.editor ? (
+                  <Link to={`/user/${revision.editor.username}`} className="text-blue-600 hover:underline">{revision.editor.username}</Link>
+                ) : 'unknown'}
+                {revision.approvedBy && (
+                  <span className="text-gray-500"> (suggested edit approved by {revision.approvedBy.username})</span>
+                )}
+                <span className="text-gray-500"> · {formatDate(revision.createdAt)}</span>
+              </div>
+              {revision.reason && <p className="text-sm text-gray-600 mt-1">{revision.reason}</p>}
+              <div className="flex gap-3 mt-2 text-sm">
+                {revision.revision > 1 && (
+                  <button
+                    onClick={() => loadRevisions(revision.revision - 1, revision.revision)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    Show changes
+                  </button>
+                )}
+                {loggedIn && revision.revision !== latest.revision && (
+                  <button
+                    onClick={() => handleRollback(revision.revision)}
+                    disabled={rollingBack}
+                    className="text-red-600 hover:underline disabled:opacity-50"
+                  >
+                    Roll back to this revision
+                  </button>
+                )}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default QuestionRevisions;
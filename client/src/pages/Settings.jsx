@@ -0,0 +1,296 @@
+import axios from 'axios';
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+
+const PREFERENCES = [
+  {
+    key: 'publicProfile',
+    label: 'Public profile',
+    description: 'Anyone can see your profile, questions, answers and top tags.'
+  },
+  {
+    key: 'emailNotifications',
+    label: 'Email notifications',
+    description: 'Receive emails about activity on your questions and answers. Choose which ones below.'
+  }
+];
+
+const CHANNEL_LABELS = {
+  inApp: 'In-app',
+  email: 'Email',
+  digest: 'Daily digest'
+};
+
+function Settings() {
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [preferences, setPreferences] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [avatarStatus, setAvatarStatus] = useState(null);
+  const [privileges, setPrivileges] = useState([]);
+  const [notificationPreferences, setNotificationPreferences] = useState(null);
+  const [savingNotifications, setSavingNotifications] = useState(false);
+  const [notificationStatus, setNotificationStatus] = useState(null);
+
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/login');
+      return;
+    }
+    axios.get('/api/users/me', {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setProfile(res.data.data);
+        setPreferences(res.data.data.preferences);
+      })
+      .catch(() => navigate('/login'));
+
+    axios.get('/api/privileges', {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setPrivileges(res.data.data))
+      .catch(() => setPrivileges([]));
+
+    axios.get('/api/notifications/preferences', {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setNotificationPreferences(res.data.data))
+      .catch(() => setNotificationPreferences(null));
+  }, [token, navigate]);
+
+  const handleToggle = (key) => {
+    setPreferences(prev => ({ ...prev, [key]: !prev[key] }));
+    setStatus(null);
+  };
+
+  const handleChannelToggle = (type, channel) => {
+    setNotificationPreferences(prev => ({
+      ...prev,
+      types: prev.types.map(entry => (
+        entry.type === type ? { ...entry, [channel]: !entry[channel] } : entry
+      ))
+    }));
+    setNotificationStatus(null);
+  };
+
+  const handleNotificationSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {};
+    notificationPreferences.types.forEach(entry => {
+      payload[entry.type] = {};
+      notificationPreferences.channels.forEach(channel => {
+        if (!(entry.locked && channel === 'inApp')) {
+          payload[entry.type][channel] = entry[channel];
+        }
+      });
+    });
+
+    try {
+      setSavingNotifications(true);
+      const res = await axios.put('/api/notifications/preferences', { preferences: payload }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setNotificationPreferences(res.data.data);
+      setNotificationStatus({ type: 'success', message: 'Notification preferences saved.' });
+    } catch (error) {
+      setNotificationStatus({ type: 'error', message: error.response?.data?.message || 'Could not save notification preferences.' });
+    } finally {
+      setSavingNotifications(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    try {
+      setUploading(true);
+      const res = await axios.post('/api/users/me/avatar', formData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setProfile(prev => ({ ...prev, avatar: res.data.data.avatar }));
+      setAvatarStatus({ type: 'success', message: 'Avatar updated.' });
+    } catch (error) {
+      setAvatarStatus({ type: 'error', message: error.response?.data?.message || 'Could not upload avatar.' });
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const res = await axios.put('/api/users/me/preferences', preferences, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPreferences(res.data.data);
+      setStatus({ type: 'success', message: 'Preferences saved.' });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.response?.data?.message || 'Could not save preferences.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!profile) {
+    return <div className="max-w-2xl mx-auto py-16 text-center text-gray-500">Loading settings...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <Link to={`/user/${profile.username}`} className="text-blue-600 hover:underline text-sm">View your profile</Link>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Avatar</h2>
+          <div className="flex items-center gap-6">
+            {profile.avatar ? (
+              <img src={profile.avatar} alt={profile.username} className="w-20 h-20 rounded-full object-cover" />
+            ) : (
+              <div className="w-20 h-20 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center text-2xl font-bold">
+                {profile.username.charAt(0).toUpperCase()}
+              </div>
+            )}
+            <label className="bg-white border px-4 py-2 rounded hover:bg-gray-100 cursor-pointer">
+              {uploading ? 'Uploading...' : 'Upload new avatar'}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/gif,image/webp"
+                onChange={handleAvatarChange}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+          </div>
+          {avatarStatus && (
+            <p className={`text-sm mt-4 ${avatarStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{avatarStatus.message}</p>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-6">
+          <h2 className="text-lg font-semibold text-gray-900">Preferences</h2>
+
+          {PREFERENCES.map(({ key, label, description }) => (
+            <label key={key} className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!!preferences[key]}
+                onChange={() => handleToggle(key)}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <span>
+                <span className="block font-medium text-gray-900">{label}</span>
+                <span className="block text-sm text-gray-500">{description}</span>
+              </span>
+            </label>
+          ))}
+
+          {status && (
+            <p className={`text-sm ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{status.message}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save preferences'}
+          </button>
+        </form>
+
+        {notificationPreferences && (
+          <form onSubmit={handleNotificationSubmit} className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 mt-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Notifications</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Choose how you hear about each kind of activity. Types sent by email right away are left out of the digest.
+              {!preferences.emailNotifications && ' Email notifications are turned off above, so only in-app notifications are delivered.'}
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">Type</th>
+                  {notificationPreferences.channels.map(channel => (
+                    <th key={channel} className="py-2 font-medium text-center">{CHANNEL_LABELS[channel] || channel}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {notificationPreferences.types.map(entry => (
+                  <tr key={entry.type}>
+                    <td className="py-3">
+                      <span className="block font-medium text-gray-900">{entry.label}</span>
+                      <span className="block text-gray-500">{entry.description}</span>
+                    </td>
+                    {notificationPreferences.channels.map(channel => {
+                      const locked = entry.locked && channel === 'inApp';
+                      return (
+                        <td key={channel} className="py-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={!!entry[channel]}
+                            disabled={locked || (channel !== 'inApp' && !preferences.emailNotifications)}
+                            onChange={() => handleChannelToggle(entry.type, channel)}
+                            title={locked ? 'Always shown in-app' : undefined}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded disabled:opacity-50"
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {notificationStatus && (
+              <p className={`text-sm mt-4 ${notificationStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{notificationStatus.message}</p>
+            )}
+
+            <button
+              type="submit"
+              disabled={savingNotifications}
+              className="mt-4 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {savingNotifications ? 'Saving...' : 'Save notification preferences'}
+            </button>
+          </form>
+        )}
+
+        {privileges.length > 0 && (
+          <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 mt-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Privileges</h2>
+            <p className="text-sm text-gray-500 mb-4">Earn reputation to unlock more of the site. You have {profile.reputation} reputation.</p>
+            <ul className="divide-y">
+              {privileges.map(privilege => (
+                <li key={privilege.key} className="py-3 flex items-start gap-3">
+                  <span className={privilege.unlocked ? 'text-green-600' : 'text-gray-400'}>{privilege.unlocked ? '✔' : '🔒'}</span>
+                  <span className="flex-1">
+                    <span className="block font-medium text-gray-900">{privilege.name}</span>
+                    <span className="block text-sm text-gray-500">{privilege.description}</span>
+                  </span>
+                  <span className="text-sm text-gray-500 whitespace-nowrap">
+                    {privilege.unlocked ? `${privilege.reputation} rep` : `${privilege.reputationNeeded} more rep`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
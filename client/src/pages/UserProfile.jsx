@@ -0,0 +1,250 @@
+import axios from 'axios';
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+const TABS = [
+  { key: 'questions', label: 'Questions' },
+  { key: 'answers', label: 'Answers' },
+  { key: 'tags', label: 'Top Tags' },
+  { key: 'reputation', label: 'Reputation', path: 'reputation/events' }
+];
+
+const REASON_LABELS = {
+  upvote: 'upvote',
+  downvote: 'downvote',
+  accept: 'accepted answer',
+  bounty: 'bounty'
+};
+
+const TIER_STYLES = {
+  bronze: 'bg-orange-100 text-orange-800',
+  silver: 'bg-gray-200 text-gray-800',
+  gold: 'bg-yellow-100 text-yellow-800'
+};
+
+const PER_PAGE = 10;
+
+// Send the token when there is one so owners and moderators can see private profiles
+const authHeaders = () => {
+  const token = localStorage.getItem('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white border rounded-lg p-4 text-center">
+      <div className="text-2xl font-bold text-gray-900">{value}</div>
+      <div className="text-sm text-gray-500">{label}</div>
+    </div>
+  );
+}
+
+// Daily reputation change as bars, gains above the line and losses below
+function ReputationGraph({ days }) {
+  const largest = Math.max(1, ...days.map(day => Math.abs(day.points)));
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4">
+      <div className="flex items-center h-32 gap-px">
+        {days.map(day => (
+          <div key={day.date} className="flex-1 h-full flex flex-col" title={`${day.date}: ${day.points >= 0 ? '+' : ''}${day.points} (${day.reputation})`}>
+            <div className="h-1/2 flex items-end">
+              {day.points > 0 && <div className="w-full bg-green-500" style={{ height: `${(day.points / largest) * 100}%` }} />}
+            </div>
+            <div className="h-1/2 flex items-start border-t border-gray-200">
+              {day.points < 0 && <div className="w-full bg-red-400" style={{ height: `${(-day.points / largest) * 100}%` }} />}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-2">
+        <span>{days[0].date}</span>
+        <span>{days[days.length - 1].date}</span>
+      </div>
+    </div>
+  );
+}
+
+function UserProfile() {
+  const { username } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+  const [tab, setTab] = useState('questions');
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [reputationDays, setReputationDays] = useState([]);
+
+  useEffect(() => {
+    setProfile(null);
+    setError('');
+    setTab('questions');
+    setCurrentPage(1);
+    axios.get(`/api/users/${username}`, { headers: authHeaders() })
+      .then(res => setProfile(res.data.data))
+      .catch(err => setError(err.response?.data?.message || 'Could not load this profile'));
+  }, [username]);
+
+  useEffect(() => {
+    if (!profile) return;
+    const { path = tab } = TABS.find(({ key }) => key === tab);
+    axios.get(`/api/users/${username}/${path}`, {
+      headers: authHeaders(),
+      params: { page: currentPage, limit: PER_PAGE }
+    })
+      .then(res => {
+        setItems(res.data.data);
+        setPagination(res.data.pagination);
+      })
+      .catch(() => {
+        setItems([]);
+        setPagination(null);
+      });
+  }, [profile, username, tab, currentPage]);
+
+  useEffect(() => {
+    if (!profile || tab !== 'reputation') return;
+    axios.get(`/api/users/${username}/reputation`, { headers: authHeaders() })
+      .then(res => setReputationDays(res.data.data.days))
+      .catch(() => setReputationDays([]));
+  }, [profile, username, tab]);
+
+  const handleTab = (key) => {
+    setItems([]);
+    setTab(key);
+    setCurrentPage(1);
+  };
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto py-16 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{error}</h1>
+        <Link to="/" className="text-blue-600 hover:underline">Back to questions</Link>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return <div className="max-w-4xl mx-auto py-16 text-center text-gray-500">Loading profile...</div>;
+  }
+
+  const { summary } = profile;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center gap-6 mb-8">
+          {profile.avatar ? (
+            <img src={profile.avatar} alt={profile.username} className="w-24 h-24 rounded-full object-cover" />
+          ) : (
+            <div className="w-24 h-24 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center text-3xl font-bold">
+              {profile.username.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{profile.username}</h1>
+            {profile.bio && <p className="text-gray-600 mt-1">{profile.bio}</p>}
+            <div className="flex gap-4 text-sm text-gray-500 mt-2">
+              {profile.location && <span>📍 {profile.location}</span>}
+              {profile.website && <a href={profile.website} className="text-blue-600 hover:underline" target="_blank" rel="noopener noreferrer">🔗 Website</a>}
+              <span>Member since {formatDate(summary.memberSince)}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <StatCard label="Reputation" value={summary.reputation} />
+          <StatCard label="Answers" value={summary.stats.answersGiven} />
+          <StatCard label="Questions" value={summary.stats.questionsAsked} />
+          <StatCard label="Accepted" value={summary.acceptedAnswers} />
+        </div>
+
+        {profile.badges.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-8">
+            {profile.badges.map(badge => (
+              <span key={badge._id || badge.name} title={badge.description} className={`px-3 py-1 rounded-full text-sm ${TIER_STYLES[badge.tier] || TIER_STYLES.bronze}`}>
+                🏅 {badge.name}{badge.tag && ` · ${badge.tag}`}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-2 border-b mb-4">
+          {TABS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => handleTab(key)}
+              className={`px-4 py-2 -mb-px border-b-2 ${tab === key ? 'border-blue-600 text-blue-600 font-semibold' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'reputation' && reputationDays.length > 0 && <ReputationGraph days={reputationDays} />}
+
+        <div className="space-y-3">
+          {items.length === 0 && <p className="text-gray-500">Nothing here yet.</p>}
+
+          {tab === 'questions' && items.map(question => (
+            <div key={question._id} className="bg-white border p-4 rounded-lg flex justify-between items-center">
+              <Link to={`/question/${question._id}`} className="text-blue-600 hover:underline font-medium">{question.title}</Link>
+              <span className="text-sm text-gray-500 whitespace-nowrap ml-4">{question.votes} votes · {question.answerCount} answers</span>
+            </div>
+          ))}
+
+          {tab === 'answers' && items.map(answer => (
+            <div key={answer._id} className="bg-white border p-4 rounded-lg flex justify-between items-center">
+              {answer.question ? (
+                <Link to={`/question/${answer.question._id}#answer-${answer._id}`} className="text-blue-600 hover:underline font-medium">{answer.question.title}</Link>
+              ) : (
+                <span className="text-gray-400">[deleted question]</span>
+              )}
+              <span className="text-sm text-gray-500 whitespace-nowrap ml-4">
+                {answer.isAccepted && <span className="text-green-600 mr-2">✔ accepted</span>}
+                {answer.votes} votes
+              </span>
+            </div>
+          ))}
+
+          {tab === 'tags' && items.map(tag => (
+            <div key={tag.name} className="bg-white border p-4 rounded-lg flex justify-between items-center">
+              <span className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm">{tag.name}</span>
+              <span className="text-sm text-gray-500">score {tag.score} · {tag.questions} questions · {tag.answers} answers</span>
+            </div>
+          ))}
+
+          {tab === 'reputation' && items.map(event => (
+            <div key={event.id} className="bg-white border p-4 rounded-lg flex items-center gap-4">
+              <span className={`w-12 text-right font-semibold ${event.points >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {event.points >= 0 ? '+' : ''}{event.points}
+              </span>
+              <span className="text-sm text-gray-600 w-40">
+                {event.reason === 'reversal' ? `${REASON_LABELS[event.reverses] || 'change'} reversed` : REASON_LABELS[event.reason]}
+                {event.actor && ` by ${event.actor}`}
+              </span>
+              {event.question ? (
+                <Link to={`/question/${event.question.id}${event.answer ? `#answer-${event.answer}` : ''}`} className="text-blue-600 hover:underline flex-1 truncate">{event.question.title}</Link>
+              ) : (
+                <span className="text-gray-400 flex-1">[deleted question]</span>
+              )}
+              <span className="text-xs text-gray-500 whitespace-nowrap">{formatDate(event.createdAt)}</span>
+            </div>
+          ))}
+        </div>
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6">
+            <button onClick={() => setCurrentPage(page => page - 1)} disabled={!pagination.hasPrev} className="px-3 py-1 border rounded bg-white hover:bg-gray-100 disabled:opacity-50">&lt;</button>
+            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button onClick={() => setCurrentPage(page => page + 1)} disabled={!pagination.hasNext} className="px-3 py-1 border rounded bg-white hover:bg-gray-100 disabled:opacity-50">&gt;</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UserProfile;
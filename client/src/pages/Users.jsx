@@ -0,0 +1,165 @@
+import axios from 'axios';
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+
+const SORTS = [
+  { key: 'reputation', label: 'Reputation' },
+  { key: 'newest', label: 'New users' },
+  { key: 'answers', label: 'Most answers' },
+  { key: 'active', label: 'Recently active' }
+];
+
+const PERIODS = [
+  { key: 'week', label: 'This week' },
+  { key: 'month', label: 'This month' },
+  { key: 'year', label: 'This year' }
+];
+
+const PER_PAGE = 24;
+
+function UserCard({ user, earned }) {
+  return (
+    <Link to={`/user/${user.username}`} className="bg-white border rounded-lg p-4 flex gap-4 hover:shadow-md transition-shadow">
+      {user.avatar ? (
+        <img src={user.avatar} alt={user.username} className="w-12 h-12 rounded-full object-cover" />
+      ) : (
+        <div className="w-12 h-12 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center font-bold">
+          {user.username.charAt(0).toUpperCase()}
+        </div>
+      )}
+      <div className="min-w-0">
+        <div className="font-semibold text-blue-600 truncate">{user.username}</div>
+        <div className="text-sm text-gray-600">
+          {earned !== undefined ? `+${earned} reputation` : `${user.reputation} reputation`}
+        </div>
+        <div className="text-xs text-gray-500">{user.stats.answersGiven} answers</div>
+        {user.badges.length > 0 && (
+          <div className="text-xs text-yellow-700 mt-1">🏅 {user.badges.length} badge{user.badges.length === 1 ? '' : 's'}</div>
+        )}
+      </div>
+    </Link>
+  );
+}
+
+function Users() {
+  const [mode, setMode] = useState('directory');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('reputation');
+  const [period, setPeriod] = useState('week');
+  const [tag, setTag] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+
+  useEffect(() => {
+    // Wait for typing to settle before searching
+    const timeout = setTimeout(() => {
+      const request = mode === 'directory'
+        ? axios.get('/api/users', { params: { page: currentPage, limit: PER_PAGE, sort, ...(search && { search }) } })
+        : axios.get('/api/users/leaderboard', { params: { page: currentPage, limit: PER_PAGE, period, ...(tag && { tag }) } });
+
+      request
+        .then(res => {
+          setEntries(res.data.data);
+          setPagination(res.data.pagination);
+        })
+        .catch(() => {
+          setEntries([]);
+          setPagination(null);
+        });
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [mode, search, sort, period, tag, currentPage]);
+
+  const update = (setter) => (value) => {
+    setter(value);
+    setCurrentPage(1);
+  };
+
+  // Directory and leaderboard entries have different shapes
+  const switchMode = (value) => {
+    setEntries([]);
+    setPagination(null);
+    update(setMode)(value);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+          <div className="flex gap-2">
+            <button
+              onClick={() => switchMode('directory')}
+              className={`px-4 py-2 rounded border ${mode === 'directory' ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+            >
+              Directory
+            </button>
+            <button
+              onClick={() => switchMode('leaderboard')}
+              className={`px-4 py-2 rounded border ${mode === 'leaderboard' ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+            >
+              Leaderboard
+            </button>
+          </div>
+        </div>
+
+        {mode === 'directory' ? (
+          <div className="flex flex-wrap gap-4 items-center mb-6">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => update(setSearch)(e.target.value)}
+              placeholder="Search by username"
+              className="border rounded px-3 py-2 flex-1 min-w-[200px]"
+            />
+            <select value={sort} onChange={(e) => update(setSort)(e.target.value)} className="border rounded px-3 py-2 bg-white">
+              {SORTS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-4 items-center mb-6">
+            <select value={period} onChange={(e) => update(setPeriod)(e.target.value)} className="border rounded px-3 py-2 bg-white">
+              {PERIODS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <input
+              type="text"
+              value={tag}
+              onChange={(e) => update(setTag)(e.target.value.trim().toLowerCase())}
+              placeholder="Filter by tag"
+              className="border rounded px-3 py-2"
+            />
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          <p className="text-gray-500">No users found.</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {mode === 'directory'
+              ? entries.map(user => <UserCard key={user.id} user={user} />)
+              : entries.map(entry => (
+                <div key={entry.user.id} className="relative">
+                  <span className="absolute -top-2 -left-2 bg-blue-600 text-white text-xs font-bold rounded-full w-7 h-7 flex items-center justify-center">
+                    {entry.rank}
+                  </span>
+                  <UserCard user={entry.user} earned={entry.reputationEarned} />
+                </div>
+              ))}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-8">
+            <button onClick={() => setCurrentPage(page => page - 1)} disabled={!pagination.hasPrev} className="px-3 py-1 border rounded bg-white hover:bg-gray-100 disabled:opacity-50">&lt;</button>
+            <span className="text-sm text-gray-600">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button onClick={() => setCurrentPage(page => page + 1)} disabled={!pagination.hasNext} className="px-3 py-1 border rounded bg-white hover:bg-gray-100 disabled:opacity-50">&gt;</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Users;
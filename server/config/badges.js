@@ -0,0 +1,99 @@
+// Badge catalogue. Each rule awards a badge once a metric reaches its threshold.
+//
+//   key        stable identifier stored on the user's badge
+//   tier       bronze, silver or gold
+//   metric     value computed by the badge engine (see services/badgeEngine.js)
+//   threshold  minimum metric value
+//   events     domain events that re-check the rule; every rule is also checked nightly
+//   perTag     awarded separately for each tag that reaches the threshold
+const BADGE_TIERS = ['bronze', 'silver', 'gold'];
+
+const BADGES = [
+  {
+    key: 'student',
+    name: 'Student',
+    tier: 'bronze',
+    description: 'Asked a first question',
+    metric: 'questionsAsked',
+    threshold: 1,
+    events: ['question.created']
+  },
+  {
+    key: 'helper',
+    name: 'Helper',
+    tier: 'bronze',
+    description: 'Posted a first answer',
+    metric: 'answersGiven',
+    threshold: 1,
+    events: ['answer.created']
+  },
+  {
+    key: 'solver',
+    name: 'Solver',
+    tier: 'bronze',
+    description: 'Had a first answer accepted',
+    metric: 'acceptedAnswers',
+    threshold: 1,
+    events: ['answer.accepted']
+  },
+  {
+    key: 'nice-question',
+    name: 'Nice Question',
+    tier: 'bronze',
+    description: 'Asked a question with a score of 10 or more',
+    metric: 'bestQuestionScore',
+    threshold: 10,
+    events: ['post.voted']
+  },
+  {
+    key: 'good-answer',
+    name: 'Good Answer',
+    tier: 'silver',
+    description: 'Posted an answer with a score of 10 or more',
+    metric: 'bestAnswerScore',
+    threshold: 10,
+    events: ['post.voted']
+  },
+  {
+    key: 'great-answer',
+    name: 'Great Answer',
+    tier: 'gold',
+    description: 'Posted an answer with a score of 25 or more',
+    metric: 'bestAnswerScore',
+    threshold: 25,
+    events: ['post.voted']
+  },
+  {
+    key: 'tag-expert',
+    name: 'Tag Expert',
+    tier: 'silver',
+    description: 'Posted 100 answers in one tag',
+    metric: 'answersPerTag',
+    threshold: 100,
+    events: ['answer.created'],
+    perTag: true
+  },
+  {
+    key: 'enthusiast',
+    name: 'Enthusiast',
+    tier: 'silver',
+    description: 'Visited the site on 30 consecutive days',
+    metric: 'longestVisitStreak',
+    threshold: 30,
+    events: ['user.visited']
+  },
+  {
+    key: 'fanatic',
+    name: 'Fanatic',
+    tier: 'gold',
+    description: 'Visited the site on 100 consecutive days',
+    metric: 'longestVisitStreak',
+    threshold: 100,
+    events: ['user.visited']
+  }
+];
+
+module.exports = {
+  BADGE_TIERS,
+  BADGES
+};
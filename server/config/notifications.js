@@ -0,0 +1,112 @@
+// Notification types and the channels they can be delivered through.
+//
+//   inApp   listed on the notifications page and counted as unread
+//   email   sent by email as soon as it happens
+//   digest  collected into a daily summary email
+//
+// Each type has the defaults a user starts with. Types marked locked are always
+// delivered in-app so nobody misses a security or moderation notice.
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'digest'];
+
+const NOTIFICATION_TYPES = [
+  {
+    type: 'answer',
+    label: 'Answers',
+    description: 'Someone answered your question',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'comment',
+    label: 'Comments',
+    description: 'Someone commented on your post',
+    defaults: { inApp: true, email: false, digest: true }
+  },
+  {
+    type: 'upvote',
+    label: 'Upvotes',
+    description: 'Someone upvoted your question or answer',
+    defaults: { inApp: true, email: false, digest: true }
+  },
+  {
+    type: 'downvote',
+    label: 'Downvotes',
+    description: 'Someone downvoted your question or answer',
+    defaults: { inApp: true, email: false, digest: false }
+  },
+  {
+    type: 'accept',
+    label: 'Accepted answers',
+    description: 'Your answer was accepted',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'mention',
+    label: 'Mentions',
+    description: 'You were mentioned in a post',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'follow',
+    label: 'Followers',
+    description: 'Someone followed you',
+    defaults: { inApp: true, email: false, digest: true }
+  },
+  {
+    type: 'badge',
+    label: 'Badges',
+    description: 'You earned a badge',
+    defaults: { inApp: true, email: false, digest: true }
+  },
+  {
+    type: 'edit',
+    label: 'Suggested edits',
+    description: 'Your suggested edit was approved or rejected',
+    defaults: { inApp: true, email: false, digest: true }
+  },
+  {
+    type: 'bounty',
+    label: 'Bounties',
+    description: 'Bounties on your questions and answers',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'system',
+    label: 'Account and security',
+    description: 'Sign-in alerts, account changes and site announcements',
+    defaults: { inApp: true, email: true, digest: false },
+    locked: true
+  },
+  {
+    type: 'moderation',
+    label: 'Moderation',
+    description: 'Suspensions, reversed votes and other moderator actions',
+    defaults: { inApp: true, email: true, digest: false },
+    locked: true
+  }
+];
+
+const findNotificationType = (type) => NOTIFICATION_TYPES.find(entry => entry.type === type);
+
+// Merge a user's stored notification preferences over the defaults
+const resolveNotificationPreferences = (stored = {}) => {
+  return NOTIFICATION_TYPES.reduce((resolved, { type, defaults, locked }) => {
+    const channels = { ...defaults };
+    NOTIFICATION_CHANNELS.forEach(channel => {
+      if (stored[type] && typeof stored[type][channel] === 'boolean') {
+        channels[channel] = stored[type][channel];
+      }
+    });
+
+    if (locked) channels.inApp = true;
+
+    resolved[type] = channels;
+    return resolved;
+  }, {});
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  findNotificationType,
+  resolveNotificationPreferences
+};
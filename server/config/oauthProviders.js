@@ -0,0 +1,39 @@
+const { createOidcProvider, createGithubProvider } = require('../utils/oauth');
+
+// Sign-in providers are enabled by their environment variables
+const providers = {};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID) {
+  registerProvider(createOidcProvider({
+    name: 'oidc',
+    displayName: process.env.OIDC_DISPLAY_NAME || 'Company SSO',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scopes: process.env.OIDC_SCOPES ? process.env.OIDC_SCOPES.split(' ') : undefined
+  }));
+}
+
+if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+  registerProvider(createGithubProvider({
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET
+  }));
+}
+
+const getProvider = (name) => providers[name] || null;
+
+const listProviders = () => Object.values(providers).map(provider => ({
+  name: provider.name,
+  displayName: provider.displayName
+}));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,64 @@
+// Actions unlocked by reputation. Moderators and admins hold every privilege.
+//
+//   key         identifier used by requirePrivilege() and hasPrivilege()
+//   reputation  reputation needed to use it
+const PRIVILEGES = [
+  {
+    key: 'post-links',
+    name: 'Post links',
+    description: 'Include links in questions and answers',
+    reputation: 10
+  },
+  {
+    key: 'upvote',
+    name: 'Vote up',
+    description: 'Upvote questions and answers that are useful',
+    reputation: 15
+  },
+  {
+    key: 'offer-bounty',
+    name: 'Offer bounties',
+    description: 'Spend your own reputation on a bounty to draw attention to a question',
+    reputation: 75
+  },
+  {
+    key: 'comment',
+    name: 'Comment everywhere',
+    description: 'Comment on other people\'s answers, not just on your own posts',
+    reputation: 50
+  },
+  {
+    key: 'downvote',
+    name: 'Vote down',
+    description: 'Downvote questions and answers that are not useful',
+    reputation: 125
+  },
+  {
+    key: 'create-tags',
+    name: 'Create tags',
+    description: 'Add new tags to the site',
+    reputation: 300
+  },
+  {
+    key: 'edit-posts',
+    name: 'Edit others\' posts',
+    description: 'Edit questions and answers written by other users',
+    reputation: 2000
+  },
+  {
+    key: 'close-votes',
+    name: 'Cast close votes',
+    description: 'Vote to close questions that are off-topic or duplicates',
+    reputation: 3000
+  },
+  {
+    key: 'moderation-tools',
+    name: 'Access moderation tools',
+    description: 'Review moderation queues, such as suggested tag wiki edits',
+    reputation: 10000
+  }
+];
+
+module.exports = {
+  PRIVILEGES
+};
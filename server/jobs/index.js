@@ -0,0 +1,85 @@
+const { processScheduledDeletions } = require('../services/accountDeletion');
+const { expireExports, processPendingExports } = require('../services/dataExport');
+const { evaluateAllBadges } = require('../services/badgeEngine');
+const { detectVoteFraud } = require('../services/voteFraud');
+const { expireSuspensions } = require('../services/suspensions');
+const { sendNotificationDigests } = require('../services/notificationDigest');
+const { resolveExpiredBounties } = require('../services/bounties');
+
+// Background jobs that run on a fixed interval inside the API process
+const jobs = [
+  {
+    name: 'process-scheduled-account-deletions',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: processScheduledDeletions
+  },
+  {
+    name: 'process-pending-data-exports',
+    intervalMs: 5 * 60 * 1000,
+    run: processPendingExports
+  },
+  {
+    name: 'expire-data-exports',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: expireExports
+  },
+  {
+    name: 'evaluate-badges',
+    intervalMs: 24 * 60 * 60 * 1000, // daily
+    run: evaluateAllBadges
+  },
+  {
+    name: 'detect-vote-fraud',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: detectVoteFraud
+  },
+  {
+    name: 'expire-suspensions',
+    intervalMs: 5 * 60 * 1000,
+    run: expireSuspensions
+  },
+  {
+    name: 'send-notification-digests',
+    intervalMs: 24 * 60 * 60 * 1000, // daily
+    run: sendNotificationDigests
+  },
+  {
+    name: 'resolve-expired-bounties',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: resolveExpiredBounties
+  }
+];
+
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start every job; set DISABLE_JOBS=true to run them elsewhere (or not at all)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    return;
+  }
+
+  for (const job of jobs) {
+    setInterval(() => runJob(job), job.intervalMs).unref();
+  }
+
+  console.log(`⏱️  Scheduled ${jobs.length} background job(s)`);
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs
+};
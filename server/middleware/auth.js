@@ -1,7 +1,73 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SiteSetting = require('../models/SiteSetting');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Session = require('../models/Session');
+const Suspension = require('../models/Suspension');
+const { decodeAccessToken, isAccessTokenRevoked } = require('../utils/authTokens');
+const { DOMAIN_EVENTS, emitDomainEvent } = require('../services/domainEvents');
+const { PRIVILEGES } = require('../config/privileges');
 
-// Middleware to verify JWT token
+// Middleware to declare the scope a personal access token needs for a route.
+// Place it before authenticate; routes without it do not accept access tokens.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    req.requiredScope = scope;
+    next();
+  };
+};
+
+// Response for requests made by an account an admin has suspended
+const sendSuspendedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'This account has been suspended.'
+  });
+};
+
+// Helper to authenticate a request made with a personal access token
+const authenticateWithAccessToken = async (token, req, res, next) => {
+  if (!req.requiredScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this endpoint.'
+    });
+  }
+
+  const accessToken = await PersonalAccessToken.findActiveByToken(token, req.ip);
+
+  if (!accessToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired access token.'
+    });
+  }
+
+  if (!accessToken.hasScope(req.requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This access token is missing the "${req.requiredScope}" scope.`
+    });
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token. User not found.'
+    });
+  }
+
+  if (user.accountStatus === 'suspended') {
+    return sendSuspendedResponse(res);
+  }
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
+
+// Middleware to verify JWT token (or a personal access token, see requireScope)
 const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -13,7 +79,11 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      return await authenticateWithAccessToken(token, req, res, next);
+    }
+
+    const decoded = decodeAccessToken(token);
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -23,7 +93,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (await isAccessTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return sendSuspendedResponse(res);
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -52,12 +134,23 @@ const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      const accessToken = await PersonalAccessToken.findActiveByToken(token, req.ip);
+
+      if (accessToken && accessToken.hasScope('read')) {
+        const user = await User.findById(accessToken.user).select('-password');
+        if (user && user.accountStatus !== 'suspended') {
+          req.user = user;
+          req.accessToken = accessToken;
+        }
+      }
+    } else if (token) {
+      const decoded = decodeAccessToken(token);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user) {
+      if (user && user.accountStatus !== 'suspended' && !(await isAccessTokenRevoked(decoded, user))) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -68,6 +161,47 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Middleware to require a verified email address
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before posting.'
+    });
+  }
+  next();
+};
+
+// Roles listed in this setting must enable two-factor authentication
+// before they can use admin or moderator routes
+const TWO_FACTOR_REQUIRED_ROLES_KEY = 'twoFactor.requiredRoles';
+
+// Whether a user satisfies the site's two-factor requirement for their role
+const meetsTwoFactorPolicy = async (user) => {
+  const requiredRoles = await SiteSetting.getValue(TWO_FACTOR_REQUIRED_ROLES_KEY, []);
+  return !requiredRoles.includes(user.role) || !!(user.twoFactor && user.twoFactor.enabled);
+};
+
+// Helper to continue only if the user satisfies the two-factor policy for their role
+const enforceTwoFactorPolicy = async (req, res, next) => {
+  try {
+    if (!await meetsTwoFactorPolicy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role. Enable it to continue.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor policy check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authorization.'
+    });
+  }
+};
+
 // Middleware to check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
@@ -76,7 +210,7 @@ const requireAdmin = (req, res, next) => {
       message: 'Access denied. Admin privileges required.'
     });
   }
-  next();
+  enforceTwoFactorPolicy(req, res, next);
 };
 
 // Middleware to check if user is moderator or admin
@@ -87,7 +221,7 @@ const requireModerator = (req, res, next) => {
       message: 'Access denied. Moderator privileges required.'
     });
   }
-  next();
+  enforceTwoFactorPolicy(req, res, next);
 };
 
 // Middleware to check if user owns the resource or is admin/moderator
@@ -140,6 +274,86 @@ const requireReputation = (minReputation) => {
   };
 };
 
+// Middleware to refuse writes from users serving a timed suspension (read-only ban).
+// Place it after authenticate.
+const rejectSuspended = async (req, res, next) => {
+  try {
+    const suspension = await Suspension.findActiveForUser(req.user._id);
+
+    if (suspension) {
+      return res.status(403).json({
+        success: false,
+        message: `Your account is suspended until ${suspension.endsAt.toUTCString()} and can only read. Reason: ${suspension.reason}`,
+        suspension: {
+          reason: suspension.reason,
+          endsAt: suspension.endsAt
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Suspension check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking account status'
+    });
+  }
+};
+
+// Roles that hold every reputation privilege
+const PRIVILEGED_ROLES = ['moderator', 'admin'];
+
+const findPrivilege = (key) => {
+  const privilege = PRIVILEGES.find(entry => entry.key === key);
+  if (!privilege) {
+    throw new Error(`Unknown privilege: ${key}`);
+  }
+  return privilege;
+};
+
+// Helper to check whether a user holds a privilege from config/privileges.js
+const hasPrivilege = (user, key) => {
+  const privilege = findPrivilege(key);
+  return !!user && (PRIVILEGED_ROLES.includes(user.role) || user.reputation >= privilege.reputation);
+};
+
+// Helper to refuse an action the user's reputation does not unlock yet
+const sendPrivilegeRequired = (res, key, user, details = {}) => {
+  const privilege = findPrivilege(key);
+  return res.status(403).json({
+    success: false,
+    message: `${privilege.name} requires ${privilege.reputation} reputation points. You have ${user.reputation}.`,
+    privilege: privilege.key,
+    ...details
+  });
+};
+
+// Middleware to require a reputation privilege. Moderators and admins pass through their role,
+// which is subject to the two-factor policy like requireModerator.
+const requirePrivilege = (key) => {
+  const privilege = findPrivilege(key);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    if (req.user.reputation >= privilege.reputation) {
+      return next();
+    }
+
+    if (PRIVILEGED_ROLES.includes(req.user.role)) {
+      return enforceTwoFactorPolicy(req, res, next);
+    }
+
+    sendPrivilegeRequired(res, key, req.user);
+  };
+};
+
 // Middleware to rate limit actions per user
 const rateLimit = require('express-rate-limit');
 
@@ -170,7 +384,20 @@ const updateLastActive = async (req, res, next) => {
   if (req.user) {
     try {
       // Update last active time without waiting for the response
-      req.user.updateLastActive().catch(console.error);
+      const lastVisitDate = req.user.visitStreak.lastVisitDate;
+      req.user.updateLastActive()
+        .then(() => {
+          // The first visit of a day extends the visit streak
+          if (req.user.visitStreak.lastVisitDate !== lastVisitDate) {
+            emitDomainEvent(DOMAIN_EVENTS.USER_VISITED, { userId: req.user._id });
+          }
+        })
+        .catch(console.error);
+
+      // Keep the session list's last-seen time and address current
+      if (req.sessionId) {
+        Session.touch(req.sessionId, req.ip).catch(console.error);
+      }
     } catch (error) {
       // Log error but don't block the request
       console.error('Error updating last active:', error);
@@ -180,12 +407,21 @@ const updateLastActive = async (req, res, next) => {
 };
 
 module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES_KEY,
+  meetsTwoFactorPolicy,
+  requireScope,
   authenticate,
   optionalAuth,
+  requireVerified,
   requireAdmin,
   requireModerator,
   requireOwnershipOrModerator,
   requireReputation,
+  requirePrivilege,
+  hasPrivilege,
+  rejectSuspended,
+  sendPrivilegeRequired,
   createUserRateLimit,
+  sendSuspendedResponse,
   updateLastActive
 };
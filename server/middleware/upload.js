@@ -197,6 +197,28 @@ const uploadToCloudinary = (filePath, options = {}) => {
   });
 };
 
+// Delete from cloudinary
+const deleteFromCloudinary = (publicId, options = {}) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.destroy(publicId, options, (error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+};
+
+// Short-lived signed link to a file uploaded with type 'authenticated' (or 'private')
+const getCloudinaryDownloadUrl = (publicId, options = {}) => {
+  return cloudinary.utils.private_download_url(publicId, '', {
+    resource_type: 'raw',
+    type: 'authenticated',
+    ...options
+  });
+};
+
 // Middleware to process uploaded files
 const processUpload = async (req, res, next) => {
   try {
@@ -277,5 +299,8 @@ module.exports = {
   deleteFile,
   getFileInfo,
   uploadToCloudinary,
-  configureCloudinary
+  deleteFromCloudinary,
+  getCloudinaryDownloadUrl,
+  configureCloudinary,
+  uploadsDir
 };
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'user.role.change',
+  'user.suspend',
+  'user.reinstate',
+  'reputation.rebuild',
+  'settings.update'
+];
+
+// Append-only record of administrative actions. Entries can be created and read,
+// never changed or removed, so they keep referencing deleted accounts by id.
+const adminAuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Affected user; null for site-wide actions
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Action-specific details, e.g. { from: 'user', to: 'moderator' }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+adminAuditLogSchema.index({ target: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Refuse every write that would change or remove an existing entry
+const rejectModification = function(next) {
+  next(new Error('Admin audit log entries cannot be modified or deleted'));
+};
+
+adminAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  adminAuditLogSchema.pre(operation, { document: true, query: true }, rejectModification);
+});
+
+// Static method to record an action
+adminAuditLogSchema.statics.record = function({ actor, action, target = null, details = {}, reason = null, req = null }) {
+  return this.create({
+    actor,
+    action,
+    target,
+    details,
+    reason,
+    ip: req ? req.ip : null
+  });
+};
+
+// Static method to search the log by actor, target, action and time range
+adminAuditLogSchema.statics.search = async function(filters = {}) {
+  const {
+    actor = null,
+    target = null,
+    action = null,
+    from = null,
+    to = null,
+    page = 1,
+    limit = 50
+  } = filters;
+
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (target) query.target = target;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const [entries, total] = await Promise.all([
+    this.find(query)
+      .populate('actor', 'username role')
+      .populate('target', 'username role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+AdminAuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AdminAuditLog;
@@ -48,6 +48,11 @@ const answerSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Reputation this answer has been awarded from bounties
+  bountyAwarded: {
+    type: Number,
+    default: 0
+  },
   comments: [{
     content: {
       type: String,
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { CLOSE_REASONS } = require('./Question');
+
+const CLOSE_VOTE_ACTIONS = ['close', 'reopen'];
+
+// A user's vote to close or reopen a question. Votes are removed when the question
+// is closed or reopened, and MongoDB deletes the rest once they expire.
+const closeVoteSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: CLOSE_VOTE_ACTIONS,
+    required: true
+  },
+  // Only close votes have a reason
+  reason: {
+    type: String,
+    enum: [...CLOSE_REASONS, null],
+    default: null
+  },
+  // Canonical questions a duplicate vote points at
+  duplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+closeVoteSchema.index({ question: 1, action: 1, voter: 1 }, { unique: true });
+closeVoteSchema.index({ voter: 1 });
+closeVoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find the votes still counting towards closing or reopening a question.
+// Checks the expiry too, since MongoDB only removes expired documents about once a minute.
+closeVoteSchema.statics.findActive = function(questionId, action) {
+  return this.find({
+    question: questionId,
+    action,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: 1 });
+};
+
+const CloseVote = mongoose.model('CloseVote', closeVoteSchema);
+
+CloseVote.CLOSE_VOTE_ACTIONS = CLOSE_VOTE_ACTIONS;
+
+module.exports = CloseVote;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user, built in the background
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  file: {
+    path: {
+      type: String,
+      default: null
+    },
+    url: {
+      type: String,
+      default: null
+    },
+    publicId: {
+      type: String,
+      default: null
+    },
+    size: {
+      type: Number,
+      default: null
+    }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the archive is ready; the file is removed after this time
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Storage details stay on the server; clients use the download endpoint
+      delete ret.file;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to find the export a user is still waiting on, if any
+exportJobSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
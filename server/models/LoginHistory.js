@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One entry per sign-in attempt against an existing account
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'two-factor', 'oauth'],
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid-password', 'invalid-two-factor', 'locked', null],
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, success: 1, userAgent: 1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Static method to record an attempt for a request
+loginHistorySchema.statics.record = function(userId, req, data) {
+  return this.create({
+    user: userId,
+    ip: req ? req.ip : null,
+    userAgent: req ? (req.get('user-agent') || '').slice(0, 500) || null : null,
+    ...data
+  });
+};
+
+// Static method to check whether a user has signed in from this browser before.
+// Returns null when there is no successful sign-in to compare against yet.
+loginHistorySchema.statics.isKnownDevice = async function(userId, req) {
+  const userAgent = req ? (req.get('user-agent') || '').slice(0, 500) || null : null;
+
+  const hasHistory = await this.exists({ user: userId, success: true });
+  if (!hasHistory) {
+    return null;
+  }
+
+  const seen = await this.exists({ user: userId, success: true, userAgent });
+  return !!seen;
+};
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const User = require('./User');
+const { resolveNotificationPreferences } = require('../config/notifications');
+const { sendMail } = require('../utils/mailer');
+const { buildNotificationEmail } = require('../utils/notificationEmails');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -6,10 +10,11 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Empty for system notifications that no user triggered
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
   type: {
     type: String,
@@ -23,6 +28,7 @@ const notificationSchema = new mongoose.Schema({
       'mention',         // You were mentioned in a post
       'follow',          // Someone followed you
       'badge',           // You earned a badge
+      'edit',            // Your suggested edit was reviewed
       'bounty',          // Bounty related notification
       'system',          // System notification
       'moderation'       // Moderation action
@@ -70,6 +76,20 @@ const notificationSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // False when the recipient only wants this type by email or in the digest
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  digestStatus: {
+    type: String,
+    enum: ['none', 'pending', 'sent'],
+    default: 'none'
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -100,6 +120,7 @@ notificationSchema.index({ sender: 1 });
 notificationSchema.index({ relatedQuestion: 1 });
 notificationSchema.index({ relatedAnswer: 1 });
 notificationSchema.index({ isArchived: 1 });
+notificationSchema.index({ digestStatus: 1, recipient: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual for time since created
@@ -130,21 +151,51 @@ notificationSchema.methods.archive = function() {
   return this.save();
 };
 
-// Static method to create notification
+// Static method to create notification, delivered on the channels the recipient chose for its type
 notificationSchema.statics.createNotification = async function(data) {
   // Don't create notification if sender and recipient are the same
   if (data.sender && data.recipient && data.sender.toString() === data.recipient.toString()) {
     return null;
   }
-  
-  const notification = new this(data);
-  return await notification.save();
+
+  const recipient = await User.findById(data.recipient).select('username email preferences');
+  if (!recipient) {
+    return null;
+  }
+
+  const channels = resolveNotificationPreferences(recipient.preferences.notifications)[data.type] ||
+    { inApp: true, email: false, digest: false };
+  // emailNotifications is the master switch for instant emails and digests
+  const emailEnabled = recipient.preferences.emailNotifications !== false && !!recipient.email;
+  const email = emailEnabled && channels.email;
+  const digest = emailEnabled && channels.digest && !email;
+
+  if (!channels.inApp && !email && !digest) {
+    return null;
+  }
+
+  const notification = new this({
+    ...data,
+    inApp: channels.inApp,
+    digestStatus: digest ? 'pending' : 'none'
+  });
+  await notification.save();
+
+  if (email) {
+    // Don't hold up the request that triggered the notification
+    sendMail(buildNotificationEmail(recipient, notification))
+      .then(() => this.updateOne({ _id: notification._id }, { emailedAt: new Date() }))
+      .catch(error => console.error('Failed to email notification:', error));
+  }
+
+  return notification;
 };
 
 // Static method to get unread count for user
 notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
     recipient: userId,
+    inApp: { $ne: false },
     isRead: false,
     isArchived: false
   });
@@ -161,6 +212,7 @@ notificationSchema.statics.getForUser = function(userId, options = {}) {
   
   const query = {
     recipient: userId,
+    inApp: { $ne: false },
     isArchived: false
   };
   
@@ -185,7 +237,7 @@ notificationSchema.statics.getForUser = function(userId, options = {}) {
 // Static method to mark all as read for user
 notificationSchema.statics.markAllAsReadForUser = function(userId) {
   return this.updateMany(
-    { recipient: userId, isRead: false },
+    { recipient: userId, inApp: { $ne: false }, isRead: false },
     { 
       isRead: true, 
       readAt: new Date() 
@@ -255,4 +307,14 @@ notificationSchema.statics.notifyMention = function(mentionedUser, mentioner, co
   });
 };
 
+notificationSchema.statics.notifyBadge = function(user, badge) {
+  return this.createNotification({
+    recipient: user._id,
+    type: 'badge',
+    title: 'Badge Earned',
+    message: `You earned the ${badge.tier} badge "${badge.name}"${badge.tag ? ` for ${badge.tag}` : ''}`,
+    actionUrl: `/user/${user.username}`
+  });
+};
+
 module.exports = mongoose.model('Notification', notificationSchema);
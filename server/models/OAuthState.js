@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Pending authorization requests, kept until the provider redirects back
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to take a state out of the store (each state is usable once)
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
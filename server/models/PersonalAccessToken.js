@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = ['read', 'write:questions', 'write:answers', 'notifications'];
+
+// Raw tokens start with this prefix so authenticate can tell them from JWTs
+const TOKEN_PREFIX = 'stackit_pat_';
+
+// Only record usage once per interval to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the raw token, shown so users can recognise it
+  tokenHint: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: TOKEN_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the token can still be used
+personalAccessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static method to check whether a bearer value looks like a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to create a token; the raw value is only ever returned here
+personalAccessTokenSchema.statics.generate = async function({ user, name, scopes, expiresAt = null }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const accessToken = await this.create({
+    user,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { token, accessToken };
+};
+
+// Static method to resolve a raw token to its active record and record its use
+personalAccessTokenSchema.statics.findActiveByToken = async function(token, ip = null) {
+  const accessToken = await this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (accessToken && (!accessToken.lastUsedAt ||
+      Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS)) {
+    accessToken.lastUsedAt = new Date();
+    accessToken.lastUsedIp = ip;
+    accessToken.save().catch(console.error);
+  }
+
+  return accessToken;
+};
+
+// Method to check a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+PersonalAccessToken.TOKEN_SCOPES = TOKEN_SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+const CLOSE_REASONS = ['duplicate', 'off-topic', 'too-broad', 'unclear', 'spam'];
+
+// Most canonical questions a duplicate can link to
+const MAX_DUPLICATE_TARGETS = 5;
+
 const questionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -81,7 +86,7 @@ const questionSchema = new mongoose.Schema({
   },
   closedReason: {
     type: String,
-    enum: ['duplicate', 'off-topic', 'too-broad', 'unclear', 'spam'],
+    enum: CLOSE_REASONS,
     default: null
   },
   closedBy: {
@@ -93,6 +98,17 @@ const questionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Canonical questions this one was closed as a duplicate of
+  duplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  // Set when a moderator merges this question into another; it is kept as a redirect
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -101,6 +117,7 @@ const questionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Featured while the question has an open bounty
   featured: {
     type: Boolean,
     default: false
@@ -117,6 +134,9 @@ const questionSchema = new mongoose.Schema({
     },
     expiresAt: {
       type: Date
+    },
+    startedAt: {
+      type: Date
     }
   }
 }, {
@@ -144,6 +164,8 @@ questionSchema.index({ createdAt: -1 });
 questionSchema.index({ lastActivity: -1 });
 questionSchema.index({ isAnswered: 1 });
 questionSchema.index({ featured: 1 });
+questionSchema.index({ featured: 1, 'bounty.expiresAt': 1 });
+questionSchema.index({ duplicateOf: 1 });
 questionSchema.index({ title: 'text', content: 'text' });
 
 // Middleware to update votes count
@@ -209,4 +231,9 @@ questionSchema.methods.updateLastActivity = function(userId) {
   return this.save();
 };
 
-module.exports = mongoose.model('Question', questionSchema);
+const Question = mongoose.model('Question', questionSchema);
+
+Question.CLOSE_REASONS = CLOSE_REASONS;
+Question.MAX_DUPLICATE_TARGETS = MAX_DUPLICATE_TARGETS;
+
+module.exports = Question;
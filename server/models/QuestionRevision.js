@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const REVISION_KINDS = ['create', 'edit', 'rollback'];
+
+// Full snapshot of a question's title, content and tags after each change.
+// Revision 1 is the question as first posted.
+const questionRevisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  kind: {
+    type: String,
+    enum: REVISION_KINDS,
+    default: 'edit'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String
+  }],
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [300, 'Edit reason cannot exceed 300 characters']
+  },
+  // Revision number restored by a rollback
+  rolledBackTo: {
+    type: Number,
+    default: null
+  },
+  // Reviewer who approved the edit when it was a suggested edit
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+questionRevisionSchema.index({ question: 1, revision: -1 }, { unique: true });
+questionRevisionSchema.index({ editor: 1 });
+
+// Static method to record the current state of a question as its next revision
+questionRevisionSchema.statics.record = async function(question, editorId, { kind = 'edit', reason = null, rolledBackTo = null, approvedBy = null } = {}) {
+  const latest = await this.findOne({ question: question._id }).sort({ revision: -1 }).select('revision');
+
+  return this.create({
+    question: question._id,
+    revision: latest ? latest.revision + 1 : 1,
+    kind,
+    title: question.title,
+    content: question.content,
+    tags: question.tags,
+    editor: editorId,
+    reason,
+    rolledBackTo,
+    approvedBy
+  });
+};
+
+// Static method to make sure a question posted before revisions were kept has its
+// original state stored as revision 1 before the first tracked edit
+questionRevisionSchema.statics.ensureBaseline = async function(question) {
+  const exists = await this.exists({ question: question._id });
+  if (exists) {
+    return null;
+  }
+
+  return this.create({
+    question: question._id,
+    revision: 1,
+    kind: 'create',
+    title: question.title,
+    content: question.content,
+    tags: question.tags,
+    editor: question.author,
+    createdAt: question.createdAt
+  }).catch(error => {
+    // Another request stored the baseline first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  });
+};
+
+const QuestionRevision = mongoose.model('QuestionRevision', questionRevisionSchema);
+
+QuestionRevision.REVISION_KINDS = REVISION_KINDS;
+
+module.exports = QuestionRevision;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Session = require('./Session');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login belong to one session
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ session: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh token lifetime, which is also how long an idle session lasts
+const getRefreshTokenTtlMs = () => {
+  return (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+};
+
+// Static method to hash a raw token for storage and lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a new refresh token for a session
+refreshTokenSchema.statics.issue = async function(userId, sessionId, ip = null) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs());
+
+  const refreshToken = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    session: sessionId,
+    expiresAt,
+    createdByIp: ip
+  });
+
+  // Using the session keeps it alive as long as its newest refresh token
+  await Session.updateOne({ _id: sessionId }, { expiresAt });
+
+  return { token, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting an already rotated token is treated as theft and ends the whole session.
+refreshTokenSchema.statics.rotate = async function(token, ip = null) {
+  const tokenHash = this.hashToken(token);
+  const now = new Date();
+
+  // Revoke the token before issuing its replacement, so two concurrent exchanges
+  // of the same token cannot both succeed: the loser sees it as reused
+  const existing = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!existing) {
+    const reused = await this.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+      await Session.updateOne({ _id: reused.session, revokedAt: null }, { revokedAt: new Date() });
+      await this.revokeSession(reused.session);
+    }
+    return null;
+  }
+
+  if (!(await Session.isActive(existing.session))) {
+    return null;
+  }
+
+  const next = await this.issue(existing.user, existing.session, ip);
+  await this.updateOne({ _id: existing._id }, { replacedBy: next.refreshToken.tokenHash });
+
+  return { ...next, user: existing.user };
+};
+
+// Static method to revoke every token of a session
+refreshTokenSchema.statics.revokeSession = function(sessionId) {
+  return this.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to revoke every token of a user (log out everywhere)
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
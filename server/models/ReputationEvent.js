@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const REPUTATION_REASONS = ['upvote', 'downvote', 'accept', 'bounty', 'reversal'];
+
+// One reputation change. A user's reputation is their events applied in order from 1,
+// never dropping below 1, so every number can be explained and rebuilt.
+const reputationEventSchema = new mongoose.Schema({
+  // User whose reputation changes
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPUTATION_REASONS,
+    required: true
+  },
+  // User who caused the change (voter, question author, ...)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Source post; answer events also carry their question
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Answer',
+    default: null
+  },
+  // For reversals: the event being undone
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReputationEvent',
+    default: null
+  },
+  // Set on an event once a reversal has undone it
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReputationEvent',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ actor: 1, reason: 1, question: 1, answer: 1, reversedBy: 1 });
+reputationEventSchema.index({ createdAt: -1 });
+
+// Static method to aggregate a user's events per day for a graph
+reputationEventSchema.statics.dailyForUser = function(userId, since) {
+  return this.aggregate([
+    { $match: { user: userId, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        points: { $sum: '$points' },
+        events: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', points: 1, events: 1 } }
+  ]);
+};
+
+const ReputationEvent = mongoose.model('ReputationEvent', reputationEventSchema);
+
+ReputationEvent.REPUTATION_REASONS = REPUTATION_REASONS;
+
+module.exports = ReputationEvent;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Only record activity once per interval to avoid a write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// One document per login; access and refresh tokens point at it
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to start a session for a request
+sessionSchema.statics.start = function(userId, req, expiresAt) {
+  return this.create({
+    user: userId,
+    userAgent: req ? (req.get('user-agent') || '').slice(0, 500) || null : null,
+    ip: req ? req.ip : null,
+    expiresAt
+  });
+};
+
+// Static method to check whether a session can still be used
+sessionSchema.statics.isActive = async function(sessionId) {
+  const active = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!active;
+};
+
+// Static method to list a user's active sessions, most recent first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke a single session of a user
+sessionSchema.statics.revoke = function(sessionId, userId) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+// Static method to record activity on a session (throttled)
+sessionSchema.statics.touch = function(sessionId, ip) {
+  return this.updateOne(
+    {
+      _id: sessionId,
+      revokedAt: null,
+      lastSeenAt: { $lt: new Date(Date.now() - LAST_SEEN_UPDATE_INTERVAL_MS) }
+    },
+    { lastSeenAt: new Date(), ip }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
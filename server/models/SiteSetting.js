@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const siteSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Settings are read on hot paths, so keep them in memory for a short while
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Static method to read a setting, falling back to a default
+siteSettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : defaultValue;
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Static method to write a setting
+siteSettingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return setting;
+};
+
+module.exports = mongoose.model('SiteSetting', siteSettingSchema);
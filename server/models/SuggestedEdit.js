@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const SUGGESTED_EDIT_TARGETS = ['question', 'answer', 'tag'];
+const SUGGESTED_EDIT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// The editable fields of a post or tag wiki. Questions use title, content and tags,
+// answers use content, and tag wikis use excerpt and content.
+const snapshotSchema = new mongoose.Schema({
+  title: String,
+  content: String,
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  excerpt: String
+}, { _id: false });
+
+// An edit proposed by a user who cannot edit the target directly. It waits in the
+// review queue until a user who can make the edit approves or rejects it.
+const suggestedEditSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: SUGGESTED_EDIT_TARGETS,
+    required: true
+  },
+  // Set for question and answer edits (the answer's question for answers)
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Answer',
+    default: null
+  },
+  tag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [300, 'Edit summary cannot exceed 300 characters']
+  },
+  // Target as it was when the edit was suggested, to detect conflicting edits
+  original: {
+    type: snapshotSchema,
+    required: true
+  },
+  proposed: {
+    type: snapshotSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SUGGESTED_EDIT_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewReason: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [300, 'Review reason cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+suggestedEditSchema.index({ status: 1, createdAt: 1 });
+suggestedEditSchema.index({ proposedBy: 1, createdAt: -1 });
+suggestedEditSchema.index({ question: 1, status: 1 });
+suggestedEditSchema.index({ answer: 1, status: 1 });
+suggestedEditSchema.index({ tag: 1, status: 1 });
+
+// Static method to find the pending suggestion for a target, if any
+suggestedEditSchema.statics.findPendingFor = function(targetType, targetId) {
+  return this.findOne({ targetType, [targetType]: targetId, status: 'pending' });
+};
+
+// Method to close the suggestion after review. The update only matches a pending suggestion,
+// so when two reviewers act at once only one succeeds; returns false for the other.
+suggestedEditSchema.methods.review = async function(status, reviewerId, reason = null) {
+  const review = {
+    status,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date(),
+    reviewReason: reason
+  };
+
+  const result = await this.constructor.updateOne({ _id: this._id, status: 'pending' }, review);
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  this.set(review);
+  return true;
+};
+
+// Method to put a suggestion back in the queue when applying it failed
+suggestedEditSchema.methods.reopen = async function() {
+  const review = { status: 'pending', reviewedBy: null, reviewedAt: null, reviewReason: null };
+  await this.constructor.updateOne({ _id: this._id }, review);
+  this.set(review);
+};
+
+const SuggestedEdit = mongoose.model('SuggestedEdit', suggestedEditSchema);
+
+SuggestedEdit.SUGGESTED_EDIT_TARGETS = SUGGESTED_EDIT_TARGETS;
+SuggestedEdit.SUGGESTED_EDIT_STATUSES = SUGGESTED_EDIT_STATUSES;
+
+module.exports = SuggestedEdit;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const SUSPENSION_STATUSES = ['active', 'expired', 'lifted'];
+
+// A timed, read-only ban issued by a moderator. While it runs the user can still
+// sign in and read, but write routes refuse them.
+const suspensionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Moved on by the expiry job or when a moderator lifts the suspension early
+  status: {
+    type: String,
+    enum: SUSPENSION_STATUSES,
+    default: 'active'
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  liftReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+suspensionSchema.index({ user: 1, status: 1, endsAt: -1 });
+suspensionSchema.index({ status: 1, endsAt: 1 });
+
+// Static method to find the suspension currently in force for a user.
+// Checks the end date too, so a suspension stops applying the moment it ends.
+suspensionSchema.statics.findActiveForUser = function(userId) {
+  const now = new Date();
+  return this.findOne({
+    user: userId,
+    status: 'active',
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).sort({ endsAt: -1 });
+};
+
+// Method to end the suspension early
+suspensionSchema.methods.lift = function(moderatorId, reason = null) {
+  this.status = 'lifted';
+  this.liftedAt = new Date();
+  this.liftedBy = moderatorId;
+  this.liftReason = reason;
+  return this.save();
+};
+
+const Suspension = mongoose.model('Suspension', suspensionSchema);
+
+Suspension.SUSPENSION_STATUSES = SUSPENSION_STATUSES;
+
+module.exports = Suspension;
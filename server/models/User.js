@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+// One { inApp, email, digest } entry per notification type. Unset channels fall
+// back to the defaults in config/notifications.js.
+const notificationPreferencesDefinition = NOTIFICATION_TYPES.reduce((definition, { type }) => {
+  definition[type] = NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+    channels[channel] = { type: Boolean };
+    return channels;
+  }, {});
+  return definition;
+}, {});
+
+// Username of the shared account that holds deleted users' content; nobody else may take it
+const GHOST_USERNAME = 'deleted_user';
+const RESERVED_USERNAMES = [GHOST_USERNAME];
+
+const isReservedUsername = (username) => RESERVED_USERNAMES.includes(String(username).toLowerCase());
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -9,7 +27,15 @@ const userSchema = new mongoose.Schema({
     trim: true,
     minlength: [3, 'Username must be at least 3 characters'],
     maxlength: [30, 'Username cannot exceed 30 characters'],
-    match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores']
+    match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores'],
+    validate: {
+      // Only checked when the username is set, so an account that took it before it was
+      // reserved can still be saved
+      validator: function(username) {
+        return this.isGhost || !this.isModified('username') || !isReservedUsername(username);
+      },
+      message: 'This username is reserved'
+    }
   },
   email: {
     type: String,
@@ -21,14 +47,50 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an external sign-in provider may have no password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Linked external sign-in identities (OpenID Connect, GitHub, ...)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: null
   },
+  // Stored square crops of an uploaded avatar; avatar holds the largest one's URL
+  avatarVariants: [{
+    size: Number,
+    url: String,
+    publicId: {
+      type: String,
+      default: null
+    }
+  }],
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -50,8 +112,23 @@ const userSchema = new mongoose.Schema({
     min: [1, 'Reputation cannot be less than 1']
   },
   badges: [{
+    // Catalogue key (config/badges.js); badges awarded before the catalogue have none
+    key: {
+      type: String,
+      default: null
+    },
     name: String,
     description: String,
+    tier: {
+      type: String,
+      enum: ['bronze', 'silver', 'gold'],
+      default: 'bronze'
+    },
+    // Set for badges awarded per tag
+    tag: {
+      type: String,
+      default: null
+    },
     earnedAt: {
       type: Date,
       default: Date.now
@@ -61,11 +138,96 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationSentAt: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'moderator', 'admin'],
     default: 'user'
   },
+  // Suspended accounts cannot sign in or use the API until an admin reinstates them
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  // Set only on the shared account that inherits the content of deleted users
+  isGhost: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Failed sign-in tracking for per-account brute-force protection
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    }
+  },
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -74,7 +236,8 @@ const userSchema = new mongoose.Schema({
     publicProfile: {
       type: Boolean,
       default: true
-    }
+    },
+    notifications: notificationPreferencesDefinition
   },
   stats: {
     questionsAsked: {
@@ -97,6 +260,27 @@ const userSchema = new mongoose.Schema({
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  // Consecutive days (UTC) with at least one visit
+  visitStreak: {
+    current: {
+      type: Number,
+      default: 0
+    },
+    longest: {
+      type: Number,
+      default: 0
+    },
+    // UTC date of the last visit, YYYY-MM-DD
+    lastVisitDate: {
+      type: String,
+      default: null
+    }
+  },
+  // Set while a requested account deletion waits out its grace period
+  deletionScheduledFor: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -114,6 +298,15 @@ userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ reputation: -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1, accountStatus: 1 });
+// An external identity can only ever be linked to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ isGhost: 1 }, { unique: true, partialFilterExpression: { isGhost: true } });
+userSchema.index({ 'badges.key': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -130,18 +323,95 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update reputation
-userSchema.methods.updateReputation = function(points) {
-  this.reputation = Math.max(1, this.reputation + points);
-  return this.save();
+// Method to create a password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Static method to find the user owning a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetTokenHash +passwordResetExpires');
 };
 
-// Method to update last active
+// Method to generate one-time recovery codes (only their hashes are stored)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({
+    hash: crypto.createHash('sha256').update(code).digest('hex')
+  }));
+
+  return codes;
+};
+
+// Method to consume a recovery code; returns false if unknown or already used
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const entry = (this.twoFactor.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Static method to find the user linked to an external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Static method to turn an arbitrary name into a free username that passes validation
+userSchema.statics.generateUniqueUsername = async function(base) {
+  let candidate = String(base || '').replace(/[^a-zA-Z0-9_]/g, '_').replace(/^_+|_+$/g, '').slice(0, 23);
+
+  if (candidate.length < 3) {
+    candidate = `user_${candidate}`.slice(0, 23);
+  }
+
+  let username = candidate;
+  for (let attempt = 0; isReservedUsername(username) || await this.exists({ username }); attempt++) {
+    // Short numeric suffixes first, then random ones once the obvious names are taken
+    const suffix = attempt < 10 ? attempt + 1 : crypto.randomBytes(3).toString('hex');
+    username = `${candidate}_${suffix}`;
+  }
+
+  return username;
+};
+
+// Method to update last active (and the visit streak on the first visit of a day)
 userSchema.methods.updateLastActive = function() {
-  this.lastActive = new Date();
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+  const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  if (this.visitStreak.lastVisitDate !== today) {
+    this.visitStreak.current = this.visitStreak.lastVisitDate === yesterday ? this.visitStreak.current + 1 : 1;
+    this.visitStreak.longest = Math.max(this.visitStreak.longest, this.visitStreak.current);
+    this.visitStreak.lastVisitDate = today;
+  }
+
+  this.lastActive = now;
   return this.save();
 };
 
@@ -149,7 +419,21 @@ userSchema.methods.updateLastActive = function() {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
+  delete user.loginSecurity;
   return user;
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+User.GHOST_USERNAME = GHOST_USERNAME;
+User.isReservedUsername = isReservedUsername;
+
+module.exports = User;
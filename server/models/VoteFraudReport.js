@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const FRAUD_PATTERNS = ['serial-voting', 'voting-ring', 'shared-ip'];
+const REPORT_STATUSES = ['open', 'reviewed', 'dismissed'];
+
+// Suspicious voting found by the vote-fraud detector. The votes are already reversed
+// when the report is written; moderators review it and decide whether to act further.
+// Dismissing a report as a false positive puts its votes back.
+const voteFraudReportSchema = new mongoose.Schema({
+  pattern: {
+    type: String,
+    enum: FRAUD_PATTERNS,
+    required: true
+  },
+  // Accounts whose votes were reversed
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Accounts that had received the votes
+  targets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  votes: [{
+    voter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    direction: {
+      type: String,
+      enum: ['upvote', 'downvote']
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    answer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Answer',
+      default: null
+    },
+    points: Number,
+    castAt: Date,
+    // Set when the vote was put back because the report was dismissed
+    restoredAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Pattern-specific evidence, e.g. { sharedIps: [...] }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null,
+    maxlength: [1000, 'Review note cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+voteFraudReportSchema.index({ status: 1, createdAt: -1 });
+voteFraudReportSchema.index({ pattern: 1, createdAt: -1 });
+voteFraudReportSchema.index({ voters: 1 });
+voteFraudReportSchema.index({ targets: 1 });
+
+// Virtual for the reputation taken back from the targets
+voteFraudReportSchema.virtual('reputationReversed').get(function() {
+  return (this.votes || []).reduce((sum, vote) => sum + (vote.points || 0), 0);
+});
+
+voteFraudReportSchema.set('toJSON', { virtuals: true });
+
+const VoteFraudReport = mongoose.model('VoteFraudReport', voteFraudReportSchema);
+
+VoteFraudReport.FRAUD_PATTERNS = FRAUD_PATTERNS;
+VoteFraudReport.REPORT_STATUSES = REPORT_STATUSES;
+
+module.exports = VoteFraudReport;
@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const SiteSetting = require('../models/SiteSetting');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { rebuildReputation } = require('../services/reputation');
+const {
+  CLOSE_VOTE_THRESHOLD_KEY,
+  CLOSE_VOTE_EXPIRY_DAYS_KEY,
+  getCloseVoteSettings
+} = require('../services/closeVotes');
+
+const router = express.Router();
+
+// Validation rules
+const reasonValidation = (required = false) => {
+  const chain = body('reason');
+  return (required ? chain : chain.optional({ nullable: true }))
+    .isString()
+    .trim()
+    .isLength({ min: required ? 1 : 0, max: 500 })
+    .withMessage(required ? 'A reason between 1 and 500 characters is required' : 'Reason cannot exceed 500 characters');
+};
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+// Summary of an account for admin listings
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  accountStatus: user.accountStatus,
+  suspendedAt: user.suspendedAt,
+  suspensionReason: user.suspensionReason,
+  reputation: user.reputation,
+  isVerified: user.isVerified,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+  lastActive: user.lastActive,
+  createdAt: user.createdAt
+});
+
+// Load the target of an action, refusing actions admins take on themselves
+const loadTargetUser = async (req, res) => {
+  if (req.user._id.equals(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account here'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    userNotFound(res);
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    List users, optionally filtered by role, status or name
+// @access  Private (Admin only)
+router.get('/users', authenticate, requireAdmin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(['user', 'moderator', 'admin']).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'suspended']).withMessage('Invalid status'),
+  query('search').optional().isString().withMessage('Search must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, role, status, search } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.accountStatus = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: users.map(formatAdminUser),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (Admin only)
+router.put('/users/:id/role', authenticate, requireAdmin, [
+  body('role')
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be user, moderator or admin'),
+  reasonValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const { role, reason } = req.body;
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User already has the ${role} role`
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AdminAuditLog.record({
+      actor: req.user._id,
+      action: 'user.role.change',
+      target: user._id,
+      details: { from: previousRole, to: role },
+      reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    if (error.name === 'CastError') {
+      return userNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing role'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend an account and sign it out everywhere
+// @access  Private (Admin only)
+router.post('/users/:id/suspend', authenticate, requireAdmin, [
+  reasonValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.accountStatus === 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already suspended'
+      });
+    }
+
+    user.accountStatus = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspensionReason = req.body.reason;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await AdminAuditLog.record({
+      actor: req.user._id,
+      action: 'user.suspend',
+      target: user._id,
+      reason: req.body.reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account suspended',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    if (error.name === 'CastError') {
+      return userNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending account'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reinstate
+// @desc    Lift an account suspension
+// @access  Private (Admin only)
+router.post('/users/:id/reinstate', authenticate, requireAdmin, [
+  reasonValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.accountStatus !== 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is not suspended'
+      });
+    }
+
+    const suspendedAt = user.suspendedAt;
+
+    user.accountStatus = 'active';
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    await AdminAuditLog.record({
+      actor: req.user._id,
+      action: 'user.reinstate',
+      target: user._id,
+      details: { suspendedAt },
+      reason: req.body.reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account reinstated',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Admin reinstate user error:', error);
+    if (error.name === 'CastError') {
+      return userNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reinstating account'
+    });
+  }
+});
+
+// @route   POST /api/admin/reputation/rebuild
+// @desc    Recalculate every user's reputation from the reputation ledger
+// @access  Private (Admin only)
+router.post('/reputation/rebuild', authenticate, requireAdmin, [
+  body('backfill').optional().isBoolean().withMessage('backfill must be a boolean'),
+  reasonValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const backfill = req.body.backfill === true || req.body.backfill === 'true';
+    const result = await rebuildReputation({ backfill });
+
+    await AdminAuditLog.record({
+      actor: req.user._id,
+      action: 'reputation.rebuild',
+      details: { backfill, ...result },
+      reason: req.body.reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Reputation rebuilt from the ledger',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin reputation rebuild error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rebuilding reputation'
+    });
+  }
+});
+
+// @route   GET /api/admin/settings/close-votes
+// @desc    Get the close vote threshold and how long close votes last
+// @access  Private (Admin only)
+router.get('/settings/close-votes', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getCloseVoteSettings()
+    });
+
+  } catch (error) {
+    console.error('Admin get close vote settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching close vote settings'
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/close-votes
+// @desc    Change the close vote threshold and/or how many days close votes last
+// @access  Private (Admin only)
+router.put('/settings/close-votes', authenticate, requireAdmin, [
+  body('threshold')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Threshold must be between 1 and 50 votes'),
+  body('expiryDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Votes must expire after 1 to 30 days'),
+  reasonValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await getCloseVoteSettings();
+
+    if (req.body.threshold !== undefined) {
+      await SiteSetting.setValue(CLOSE_VOTE_THRESHOLD_KEY, parseInt(req.body.threshold), req.user._id);
+    }
+    if (req.body.expiryDays !== undefined) {
+      await SiteSetting.setValue(CLOSE_VOTE_EXPIRY_DAYS_KEY, parseInt(req.body.expiryDays), req.user._id);
+    }
+
+    const settings = await getCloseVoteSettings();
+
+    await AdminAuditLog.record({
+      actor: req.user._id,
+      action: 'settings.update',
+      details: { setting: 'close-votes', previous, current: settings },
+      reason: req.body.reason,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Close vote settings updated',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Admin update close vote settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating close vote settings'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Search the admin audit log by actor, target, action and time range
+// @access  Private (Admin only)
+router.get('/audit-log', authenticate, requireAdmin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid user ID'),
+  query('target').optional().isMongoId().withMessage('Target must be a valid user ID'),
+  query('action').optional().isIn(AdminAuditLog.AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { entries, total } = await AdminAuditLog.search({
+      actor: req.query.actor,
+      target: req.query.target,
+      action: req.query.action,
+      from: req.query.from,
+      to: req.query.to,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
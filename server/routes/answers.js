@@ -1,17 +1,25 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const sanitizeHtml = require('sanitize-html');
 const Answer = require('../models/Answer');
 const Question = require('../models/Question');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { 
+  requireScope,
   authenticate, 
+  rejectSuspended,
   optionalAuth, 
+  requireVerified,
   requireOwnershipOrModerator,
   createUserRateLimit,
+  hasPrivilege,
+  sendPrivilegeRequired,
   updateLastActive
 } = require('../middleware/auth');
+const { currentVote, recordVoteChange, recordAccept, reverseAccept } = require('../services/reputation');
+const { DOMAIN_EVENTS, emitDomainEvent } = require('../services/domainEvents');
+const { sanitizePostContent, editAnswer } = require('../services/postEditing');
+const { addsLinks } = require('../utils/links');
 
 const router = express.Router();
 
@@ -22,19 +30,6 @@ const answerCreateRateLimit = createUserRateLimit({
   message: 'Too many answers created. Please wait before posting another answer.'
 });
 
-// HTML sanitization options
-const sanitizeOptions = {
-  allowedTags: [
-    'p', 'br', 'strong', 'em', 'u', 's', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-    'blockquote', 'code', 'pre', 'ul', 'ol', 'li', 'a', 'img'
-  ],
-  allowedAttributes: {
-    'a': ['href', 'title'],
-    'img': ['src', 'alt', 'title', 'width', 'height']
-  },
-  allowedSchemes: ['http', 'https', 'mailto']
-};
-
 // Validation rules
 const createAnswerValidation = [
   body('content')
@@ -50,7 +45,12 @@ const updateAnswerValidation = [
   body('content')
     .trim()
     .isLength({ min: 20 })
-    .withMessage('Answer must be at least 20 characters')
+    .withMessage('Answer must be at least 20 characters'),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Edit reason cannot exceed 300 characters')
 ];
 
 // @route   GET /api/answers
@@ -174,7 +174,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @route   POST /api/answers
 // @desc    Create a new answer
 // @access  Private
-router.post('/', authenticate, answerCreateRateLimit, createAnswerValidation, async (req, res) => {
+router.post('/', requireScope('write:answers'), authenticate, rejectSuspended, requireVerified, answerCreateRateLimit, createAnswerValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -204,7 +204,11 @@ router.post('/', authenticate, answerCreateRateLimit, createAnswerValidation, as
     }
 
     // Sanitize HTML content
-    content = sanitizeHtml(content, sanitizeOptions);
+    content = sanitizePostContent(content);
+
+    if (addsLinks(content) && !hasPrivilege(req.user, 'post-links')) {
+      return sendPrivilegeRequired(res, 'post-links', req.user);
+    }
 
     // Create answer
     const answer = new Answer({
@@ -230,6 +234,8 @@ router.post('/', authenticate, answerCreateRateLimit, createAnswerValidation, as
       $inc: { 'stats.answersGiven': 1 }
     });
 
+    emitDomainEvent(DOMAIN_EVENTS.ANSWER_CREATED, { userId: req.user._id, answerId: answer._id, questionId });
+
     // Create notification for question author
     if (question.author._id.toString() !== req.user._id.toString()) {
       await Notification.notifyAnswer(
@@ -260,7 +266,7 @@ router.post('/', authenticate, answerCreateRateLimit, createAnswerValidation, as
 // @route   PUT /api/answers/:id
 // @desc    Update an answer
 // @access  Private (Author or Moderator)
-router.put('/:id', authenticate, updateAnswerValidation, async (req, res) => {
+router.put('/:id', requireScope('write:answers'), authenticate, rejectSuspended, updateAnswerValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -280,38 +286,22 @@ router.put('/:id', authenticate, updateAnswerValidation, async (req, res) => {
       });
     }
 
-    // Check ownership or moderator status
-    req.resource = answer;
-    const ownershipCheck = requireOwnershipOrModerator();
-    await new Promise((resolve, reject) => {
-      ownershipCheck(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    // Authors edit their own answers; anyone else needs the edit privilege
+    if (!answer.author.equals(req.user._id) && !hasPrivilege(req.user, 'edit-posts')) {
+      return sendPrivilegeRequired(res, 'edit-posts', req.user);
+    }
 
     let { content } = req.body;
 
     // Sanitize HTML content
-    content = sanitizeHtml(content, sanitizeOptions);
+    content = sanitizePostContent(content);
 
-    // Add to edit history if content changed
-    if (content !== answer.content) {
-      await answer.addToEditHistory(answer.content, req.user._id, 'Content updated');
+    if (addsLinks(content, answer.content) && !hasPrivilege(req.user, 'post-links')) {
+      return sendPrivilegeRequired(res, 'post-links', req.user);
     }
 
-    // Update answer
-    const updatedAnswer = await Answer.findByIdAndUpdate(
-      req.params.id,
-      { content },
-      { new: true, runValidators: true }
-    ).populate('author', 'username avatar reputation');
-
-    // Update question's last activity
-    await Question.findByIdAndUpdate(answer.question, {
-      lastActivity: new Date(),
-      lastActivityBy: req.user._id
-    });
+    const updatedAnswer = await editAnswer(answer, content, req.user._id, { reason: req.body.reason });
+    await updatedAnswer.populate('author', 'username avatar reputation');
 
     res.json({
       success: true,
@@ -337,7 +327,7 @@ router.put('/:id', authenticate, updateAnswerValidation, async (req, res) => {
 // @route   DELETE /api/answers/:id
 // @desc    Delete an answer (soft delete)
 // @access  Private (Author or Moderator)
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', requireScope('write:answers'), authenticate, rejectSuspended, async (req, res) => {
   try {
     const answer = await Answer.findById(req.params.id);
 
@@ -414,7 +404,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 // @route   POST /api/answers/:id/vote
 // @desc    Vote on an answer
 // @access  Private
-router.post('/:id/vote', authenticate, [
+router.post('/:id/vote', requireScope('write:answers'), authenticate, rejectSuspended, [
   body('type').isIn(['upvote', 'downvote']).withMessage('Type must be upvote or downvote')
 ], async (req, res) => {
   try {
@@ -445,25 +435,47 @@ router.post('/:id/vote', authenticate, [
       });
     }
 
+    // Votes toggle: repeating a vote retracts it, the opposite vote replaces it
+    const previousVote = currentVote(answer, req.user._id);
+    const newVote = previousVote === type ? null : type;
+
+    // Casting a vote needs the matching privilege; retracting one never does
+    if (newVote && !hasPrivilege(req.user, newVote)) {
+      return sendPrivilegeRequired(res, newVote, req.user);
+    }
+
     // Apply vote
     if (type === 'upvote') {
       await answer.addUpvote(req.user._id);
-      
-      // Create notification for upvote
+    } else {
+      await answer.addDownvote(req.user._id);
+    }
+
+    // Update author reputation (retracted votes give their points back)
+    await recordVoteChange({
+      contentType: 'answer',
+      post: answer,
+      author: answer.author._id,
+      voter: req.user._id,
+      previousVote,
+      newVote
+    });
+
+    emitDomainEvent(DOMAIN_EVENTS.POST_VOTED, {
+      userId: answer.author._id,
+      voterId: req.user._id,
+      contentType: 'answer',
+      postId: answer._id
+    });
+
+    // Create notification for a new upvote
+    if (newVote === 'upvote') {
       await Notification.notifyUpvote(
         answer.author._id,
         req.user._id,
         answer,
         'answer'
       );
-      
-      // Update author reputation (+10 for answer upvote)
-      await answer.author.updateReputation(10);
-    } else {
-      await answer.addDownvote(req.user._id);
-      
-      // Update author reputation (-2 for answer downvote)
-      await answer.author.updateReputation(-2);
     }
 
     res.json({
@@ -490,7 +502,7 @@ router.post('/:id/vote', authenticate, [
 // @route   POST /api/answers/:id/accept
 // @desc    Accept an answer as the solution
 // @access  Private (Question Author only)
-router.post('/:id/accept', authenticate, async (req, res) => {
+router.post('/:id/accept', requireScope('write:answers'), authenticate, rejectSuspended, async (req, res) => {
   try {
     const answer = await Answer.findById(req.params.id).populate('author');
 
@@ -518,12 +530,22 @@ router.post('/:id/accept', authenticate, async (req, res) => {
       });
     }
 
-    // If there's already an accepted answer, unaccept it
+    if (answer.isAccepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This answer is already accepted'
+      });
+    }
+
+    // If there's already an accepted answer, unaccept it and take its bonus back
     if (question.acceptedAnswer) {
-      await Answer.findByIdAndUpdate(question.acceptedAnswer, {
+      const previous = await Answer.findByIdAndUpdate(question.acceptedAnswer, {
         isAccepted: false,
         acceptedAt: null
       });
+      if (previous) {
+        await reverseAccept(previous, req.user._id);
+      }
     }
 
     // Accept this answer
@@ -543,7 +565,14 @@ router.post('/:id/accept', authenticate, async (req, res) => {
     }
 
     // Update answer author reputation (+15 for accepted answer)
-    await answer.author.updateReputation(15);
+    await recordAccept(answer, req.user._id);
+
+    emitDomainEvent(DOMAIN_EVENTS.ANSWER_ACCEPTED, {
+      userId: answer.author._id,
+      answerId: answer._id,
+      questionId: question._id,
+      acceptedBy: req.user._id
+    });
 
     res.json({
       success: true,
@@ -568,7 +597,7 @@ router.post('/:id/accept', authenticate, async (req, res) => {
 // @route   POST /api/answers/:id/comments
 // @desc    Add a comment to an answer
 // @access  Private
-router.post('/:id/comments', authenticate, [
+router.post('/:id/comments', requireScope('write:answers'), authenticate, rejectSuspended, [
   body('content')
     .trim()
     .isLength({ min: 1, max: 500 })
@@ -594,6 +623,15 @@ router.post('/:id/comments', authenticate, [
       });
     }
 
+    // Anyone can comment on their own answer or on answers to their question;
+    // commenting anywhere else is a privilege
+    if (!answer.author.equals(req.user._id) && !hasPrivilege(req.user, 'comment')) {
+      const question = await Question.findById(answer.question).select('author');
+      if (!question || !question.author.equals(req.user._id)) {
+        return sendPrivilegeRequired(res, 'comment', req.user);
+      }
+    }
+
     // Add comment
     await answer.addComment(content, req.user._id);
     
@@ -1,9 +1,34 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticate, createUserRateLimit } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const SiteSetting = require('../models/SiteSetting');
+const {
+  TWO_FACTOR_REQUIRED_ROLES_KEY,
+  requireScope,
+  authenticate,
+  requireAdmin,
+  createUserRateLimit,
+  sendSuspendedResponse
+} = require('../middleware/auth');
+const {
+  generateAccessToken,
+  issueAuthTokens,
+  generatePurposeToken,
+  verifyPurposeToken
+} = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { deleteAccount } = require('../services/accountDeletion');
+const {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerLockedAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} = require('../services/loginSecurity');
+const LoginHistory = require('../models/LoginHistory');
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require('../utils/totp');
 
 const router = express.Router();
 
@@ -14,13 +39,42 @@ const authRateLimit = createUserRateLimit({
   message: 'Too many authentication attempts, please try again later.'
 });
 
+// Response for sign-in attempts against a temporarily locked account
+const sendLockedResponse = (res, lockState) => {
+  res.set('Retry-After', String(lockState.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${lockState.retryAfterSeconds} seconds.`,
+    retryAfter: lockState.retryAfterSeconds
+  });
+};
+
+// Rate limiting for verification email resends
+const verificationResendRateLimit = createUserRateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 resends per hour
+  message: 'Too many verification emails requested, please try again later.'
+});
+
+// Rate limiting for password reset requests
+const passwordResetRateLimit = createUserRateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset requests per hour
+  message: 'Too many password reset requests, please try again later.'
+});
+
+// Minimum time between two verification emails for the same account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
 // Validation rules
 const registerValidation = [
   body('username')
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(username => !User.isReservedUsername(username))
+    .withMessage('This username is reserved'),
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -40,17 +94,78 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+// Helper function to email a signed, expiring verification link
+const sendVerificationEmail = async (user) => {
+  const token = generatePurposeToken(
+    { userId: user._id, email: user.email },
+    'verify-email',
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
   );
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const link = `${apiUrl}/api/auth/verify/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your StackIt email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.username},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save();
+};
+
+// Accounts without a password prove it is really them by having signed in this recently
+const REAUTHENTICATION_WINDOW_MINUTES = 10;
+
+// Helper function to check that the request's session started with a recent sign-in
+const hasRecentSignIn = async (req) => {
+  if (!req.sessionId) {
+    return false;
+  }
+
+  const session = await Session.findOne({ _id: req.sessionId, user: req.user._id, revokedAt: null });
+  return !!session && session.createdAt > new Date(Date.now() - REAUTHENTICATION_WINDOW_MINUTES * 60 * 1000);
 };
 
+// Helper function to check a TOTP or recovery code for a user loaded with
+// +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+
+  // Reject a code that was already used in this or a later time step
+  if (step === null || (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+const twoFactorCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('An authentication code or recovery code is required');
+      }
+      return true;
+    })
+];
+
 // Helper function to format user response
-const formatUserResponse = (user, token = null) => {
+const formatUserResponse = (user, tokens = null) => {
   const userObj = {
     id: user._id,
     username: user.username,
@@ -59,11 +174,14 @@ const formatUserResponse = (user, token = null) => {
     reputation: user.reputation,
     role: user.role,
     isVerified: user.isVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+    deletionScheduledFor: user.deletionScheduledFor,
     createdAt: user.createdAt
   };
 
-  if (token) {
-    userObj.token = token;
+  if (tokens) {
+    userObj.token = tokens.token;
+    userObj.refreshToken = tokens.refreshToken;
   }
 
   return userObj;
@@ -107,13 +225,20 @@ router.post('/register', authRateLimit, registerValidation, async (req, res) =>
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: formatUserResponse(user, token)
+      user: formatUserResponse(user, tokens)
     });
 
   } catch (error) {
@@ -151,26 +276,52 @@ router.post('/login', authRateLimit, loginValidation, async (req, res) => {
       });
     }
 
+    // Locked accounts refuse attempts without checking the password
+    const attempt = await reserveLoginAttempt(user);
+    if (attempt.locked) {
+      await registerLockedAttempt(user, req, 'password');
+      return sendLockedResponse(res, attempt);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await registerFailedLogin(user, req, 'password', 'invalid-password', attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (user.accountStatus === 'suspended') {
+      await releaseLoginAttempt(user, attempt);
+      return sendSuspendedResponse(res);
+    }
+
+    // With two-factor enabled, the password only earns a short-lived challenge
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await releaseLoginAttempt(user, attempt);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: generatePurposeToken({ userId: user._id }, 'login-2fa', '5m')
+      });
+    }
+
+    await registerSuccessfulLogin(user, req, 'password');
+
     // Update last active
     await user.updateLastActive();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: formatUserResponse(user, token)
+      user: formatUserResponse(user, tokens)
     });
 
   } catch (error) {
@@ -182,10 +333,339 @@ router.post('/login', authRateLimit, loginValidation, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', authRateLimit, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyPurposeToken(req.body.challengeToken, 'login-2fa');
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return sendSuspendedResponse(res);
+    }
+
+    const attempt = await reserveLoginAttempt(user);
+    if (attempt.locked) {
+      await registerLockedAttempt(user, req, 'two-factor');
+      return sendLockedResponse(res, attempt);
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      await registerFailedLogin(user, req, 'two-factor', 'invalid-two-factor', attempt);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await registerSuccessfulLogin(user, req, 'two-factor');
+
+    // Saves the consumed code along with the last active time
+    await user.updateLastActive();
+
+    const tokens = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: formatUserResponse(user, tokens)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify/:token
+// @desc    Verify a user's email address
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const decoded = verifyPurposeToken(req.params.token, 'verify-email');
+
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify/resend
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/verify/resend', authenticate, verificationResendRateLimit, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.verificationSentAt &&
+        Date.now() - user.verificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', passwordResetRateLimit, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30;
+      const token = user.createPasswordResetToken(expiresInMinutes);
+      await user.save();
+
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      const link = `${clientUrl}/reset-password?token=${token}`;
+
+      // Not awaited (and never throwing here): waiting on SMTP would make the response
+      // slower for registered emails
+      Promise.resolve().then(() => sendMail({
+        to: user.email,
+        subject: 'Reset your StackIt password',
+        text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`,
+        html: `<p>Hi ${user.username},</p><p>Reset your password by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.</p>`
+      })).catch(mailError => console.error('Password reset email error:', mailError));
+    }
+
+    // Same response whether or not the email exists
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a token from the reset email
+// @access  Public
+router.post('/reset-password', passwordResetRateLimit, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Tokens are single-use, and a reset ends every existing session
+    user.password = password;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    user.tokenVersion += 1;
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await RefreshToken.rotate(req.body.refreshToken, req.ip);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.user);
+
+    if (!user) {
+      await RefreshToken.revokeSession(rotated.refreshToken.session);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    if (user.accountStatus === 'suspended') {
+      await RefreshToken.revokeSession(rotated.refreshToken.session);
+      return sendSuspendedResponse(res);
+    }
+
+    res.json({
+      success: true,
+      token: generateAccessToken(user, rotated.refreshToken.session),
+      refreshToken: rotated.token
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', requireScope('read'), authenticate, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -200,6 +680,61 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/login-history
+// @desc    Get recent sign-in attempts on the current user's account
+// @access  Private
+router.get('/login-history', authenticate, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const [entries, total] = await Promise.all([
+      LoginHistory.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginHistory.countDocuments({ user: req.user._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -290,13 +825,20 @@ router.put('/change-password', authenticate, authRateLimit, [
       });
     }
 
-    // Update password
+    // Update password and invalidate every existing session
     user.password = newPassword;
+    user.tokenVersion += 1;
     await user.save();
+    await Session.revokeAllForUser(user._id);
+    await RefreshToken.revokeAllForUser(user._id);
+
+    // Keep the current client signed in with a fresh session
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      ...tokens
     });
 
   } catch (error) {
@@ -308,13 +850,245 @@ router.put('/change-password', authenticate, authRateLimit, [
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and return provisioning data for a QR code
+// @access  Private
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'twoFactor.pendingSecret': secret
+    });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl({ secret, accountName: req.user.email })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrollment with a first code and receive recovery codes
+// @access  Private
+router.post('/2fa/verify', authenticate, authRateLimit, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticate, authRateLimit, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+
+    if (!isPasswordValid || !verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.enabledAt = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/policy
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (Admin)
+router.get('/2fa/policy', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const requiredRoles = await SiteSetting.getValue(TWO_FACTOR_REQUIRED_ROLES_KEY, []);
+
+    res.json({
+      success: true,
+      data: {
+        requiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policy'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Require two-factor authentication for moderators and/or admins
+// @access  Private (Admin)
+router.put('/2fa/policy', authenticate, requireAdmin, [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('Required roles must be an array')
+    .custom((roles) => {
+      if (!roles.every(role => ['moderator', 'admin'].includes(role))) {
+        throw new Error('Only the moderator and admin roles can be required to use two-factor authentication');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+    // Do not let an admin lock every admin out of the admin routes
+    if (requiredRoles.includes('admin') && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for admins'
+      });
+    }
+
+    await SiteSetting.setValue(TWO_FACTOR_REQUIRED_ROLES_KEY, requiredRoles, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: {
+        requiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor policy'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (mainly for future token blacklisting)
+// @desc    Logout user (revokes the current session and its refresh tokens)
 // @access  Private
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    // In a more advanced implementation, you would blacklist the token here
-    // For now, we'll just return success and let the client handle token removal
+    await Session.revoke(req.sessionId, req.user._id);
+    await RefreshToken.revokeSession(req.sessionId);
     
     res.json({
       success: true,
@@ -334,8 +1108,17 @@ router.post('/logout', authenticate, async (req, res) => {
 // @access  Private
 router.delete('/account', authenticate, authRateLimit, [
   body('password')
-    .notEmpty()
-    .withMessage('Password is required to delete account')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -347,23 +1130,59 @@ router.delete('/account', authenticate, authRateLimit, [
       });
     }
 
-    const { password } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
+    if (user.password) {
+      if (!req.body.password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required to delete account'
+        });
+      }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
+      const isPasswordValid = await user.comparePassword(req.body.password);
 
-    if (!isPasswordValid) {
-      return res.status(400).json({
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    } else if (user.twoFactor.enabled) {
+      // Accounts signed into only through an external provider confirm with their second factor
+      if (!verifySecondFactor(user, req.body)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Authentication code is incorrect'
+        });
+      }
+      await user.save();
+    } else if (!(await hasRecentSignIn(req))) {
+      return res.status(403).json({
         success: false,
-        message: 'Password is incorrect'
+        message: `Sign in again to delete your account (within ${REAUTHENTICATION_WINDOW_MINUTES} minutes)`
+      });
+    }
+
+    // With a grace period the account is only scheduled and can still be restored
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 0;
+
+    if (graceDays > 0) {
+      user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+      await user.save();
+
+      return res.json({
+        success: true,
+        message: `Account scheduled for deletion. Sign in and cancel before ${user.deletionScheduledFor.toISOString()} to keep it.`,
+        data: {
+          deletionScheduledFor: user.deletionScheduledFor
+        }
       });
     }
 
-    // Delete user (in production, you might want to soft delete or anonymize)
-    await User.findByIdAndDelete(req.user._id);
+    // Content moves to the shared deleted-user account; personal data is purged
+    await deleteAccount(user._id);
 
     res.json({
       success: true,
@@ -379,4 +1198,32 @@ router.delete('/account', authenticate, authRateLimit, [
   }
 });
 
+// @route   POST /api/auth/account/cancel-deletion
+// @desc    Cancel a scheduled account deletion during its grace period
+// @access  Private
+router.post('/account/cancel-deletion', authenticate, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { deletionScheduledFor: null });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling account deletion'
+    });
+  }
+});
+
 module.exports = router;
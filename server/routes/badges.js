@@ -0,0 +1,148 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const { BADGE_TIERS, BADGES } = require('../config/badges');
+
+const router = express.Router();
+
+// Public fields of a catalogue rule
+const formatBadge = (rule) => ({
+  key: rule.key,
+  name: rule.name,
+  description: rule.description,
+  tier: rule.tier,
+  perTag: !!rule.perTag
+});
+
+// @route   GET /api/badges
+// @desc    Get the badge catalogue with how often each badge was awarded
+// @access  Public
+router.get('/', [
+  query('tier').optional().isIn(BADGE_TIERS).withMessage('Tier must be bronze, silver or gold')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counts = await User.aggregate([
+      { $match: { 'badges.key': { $ne: null } } },
+      { $unwind: '$badges' },
+      { $group: { _id: '$badges.key', count: { $sum: 1 } } }
+    ]);
+    const countByKey = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    const rules = req.query.tier ? BADGES.filter(rule => rule.tier === req.query.tier) : BADGES;
+
+    res.json({
+      success: true,
+      data: rules.map(rule => ({
+        ...formatBadge(rule),
+        awardedCount: countByKey.get(rule.key) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get badges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching badges'
+    });
+  }
+});
+
+// @route   GET /api/badges/:key
+// @desc    Get a badge and the users who most recently earned it
+// @access  Public
+router.get('/:key', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = BADGES.find(({ key }) => key === req.params.key);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Badge not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Only users who show up in the directory are listed
+    const [result] = await User.aggregate([
+      {
+        $match: {
+          'badges.key': rule.key,
+          'preferences.publicProfile': true,
+          accountStatus: 'active',
+          isGhost: { $ne: true }
+        }
+      },
+      { $unwind: '$badges' },
+      { $match: { 'badges.key': rule.key } },
+      { $sort: { 'badges.earnedAt': -1 } },
+      {
+        $facet: {
+          recipients: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                id: '$_id',
+                username: 1,
+                avatar: 1,
+                reputation: 1,
+                tag: '$badges.tag',
+                earnedAt: '$badges.earnedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatBadge(rule),
+        recipients: result.recipients
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecipients: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get badge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching badge'
+    });
+  }
+});
+
+module.exports = router;
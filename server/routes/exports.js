@@ -0,0 +1,158 @@
+const express = require('express');
+const ExportJob = require('../models/ExportJob');
+const { authenticate, createUserRateLimit } = require('../middleware/auth');
+const { runExportJob } = require('../services/dataExport');
+const { getCloudinaryDownloadUrl } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Exports are expensive to build; a few per day is plenty
+const exportRateLimit = createUserRateLimit({
+  windowMs: 24 * 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many export requests, please try again tomorrow.'
+});
+
+// How long a signed cloud download link stays valid
+const DOWNLOAD_LINK_TTL_MS = 5 * 60 * 1000;
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Export not found'
+});
+
+// @route   POST /api/auth/export
+// @desc    Request an archive of all personal data
+// @access  Private (session only)
+router.post('/', authenticate, exportRateLimit, async (req, res) => {
+  try {
+    const active = await ExportJob.findActiveForUser(req.user._id);
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already being prepared',
+        data: active
+      });
+    }
+
+    const job = await ExportJob.create({ user: req.user._id });
+
+    // Built in the background; clients poll the status endpoint
+    runExportJob(job._id).catch(error => {
+      console.error(`Data export ${job._id} failed to start:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export requested. Check its status to download the archive when ready.',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting export'
+    });
+  }
+});
+
+// @route   GET /api/auth/export
+// @desc    List the current user's exports
+// @access  Private (session only)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exports'
+    });
+  }
+});
+
+// @route   GET /api/auth/export/:id
+// @desc    Get the status of an export
+// @access  Private (session only)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!job) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...job.toJSON(),
+        downloadUrl: job.status === 'completed' ? `/api/auth/export/${job._id}/download` : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    if (error.name === 'CastError') {
+      return notFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export'
+    });
+  }
+});
+
+// @route   GET /api/auth/export/:id/download
+// @desc    Download a finished export archive
+// @access  Private (session only)
+router.get('/:id/download', authenticate, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!job) {
+      return notFound(res);
+    }
+
+    if (job.status !== 'completed' || job.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: job.status === 'completed' || job.status === 'expired'
+          ? 'This export has expired. Request a new one.'
+          : 'This export is not ready for download'
+      });
+    }
+
+    if (job.file.publicId) {
+      // Signed link that stops working after a few minutes, and never outlives the export
+      const expiresAt = Math.min(Date.now() + DOWNLOAD_LINK_TTL_MS, job.expiresAt.getTime());
+      return res.redirect(getCloudinaryDownloadUrl(job.file.publicId, {
+        type: job.file.url ? 'upload' : 'authenticated',
+        expires_at: Math.floor(expiresAt / 1000),
+        attachment: true
+      }));
+    }
+
+    res.download(job.file.path, `stackit-export-${job.createdAt.toISOString().slice(0, 10)}.zip`);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    if (error.name === 'CastError') {
+      return notFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading export'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,404 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Suspension = require('../models/Suspension');
+const VoteFraudReport = require('../models/VoteFraudReport');
+const { detectVoteFraud, restoreReportVotes } = require('../services/voteFraud');
+const { issueSuspension, liftSuspension } = require('../services/suspensions');
+const { authenticate, requireModerator } = require('../middleware/auth');
+
+const router = express.Router();
+
+const reportNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Report not found'
+});
+
+const suspensionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Suspension not found'
+});
+
+// Maximum length of a suspension in days
+const MAX_SUSPENSION_DAYS = 365;
+
+// @route   GET /api/moderation/vote-fraud
+// @desc    List vote fraud reports, newest first
+// @access  Private (Moderator+)
+router.get('/vote-fraud', authenticate, requireModerator, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(VoteFraudReport.REPORT_STATUSES).withMessage('Invalid status'),
+  query('pattern').optional().isIn(VoteFraudReport.FRAUD_PATTERNS).withMessage('Invalid pattern'),
+  query('user').optional().isMongoId().withMessage('User must be a valid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, pattern, user } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (pattern) filter.pattern = pattern;
+    if (user) filter.$or = [{ voters: user }, { targets: user }];
+
+    const [reports, total] = await Promise.all([
+      VoteFraudReport.find(filter)
+        .select('-votes')
+        .populate('voters', 'username reputation')
+        .populate('targets', 'username reputation')
+        .populate('reviewedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VoteFraudReport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalReports: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vote fraud reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reports'
+    });
+  }
+});
+
+// @route   POST /api/moderation/vote-fraud/scan
+// @desc    Run the vote fraud detector now instead of waiting for the scheduled run
+// @access  Private (Moderator+)
+router.post('/vote-fraud/scan', authenticate, requireModerator, async (req, res) => {
+  try {
+    const reports = await detectVoteFraud();
+
+    res.json({
+      success: true,
+      message: `Scan complete, ${reports.length} new report(s)`,
+      data: reports.map(report => report._id)
+    });
+
+  } catch (error) {
+    console.error('Vote fraud scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scanning votes'
+    });
+  }
+});
+
+// @route   GET /api/moderation/vote-fraud/:id
+// @desc    Get a vote fraud report with the reversed votes
+// @access  Private (Moderator+)
+router.get('/vote-fraud/:id', authenticate, requireModerator, async (req, res) => {
+  try {
+    const report = await VoteFraudReport.findById(req.params.id)
+      .populate('voters', 'username reputation createdAt')
+      .populate('targets', 'username reputation createdAt')
+      .populate('votes.voter', 'username')
+      .populate('votes.target', 'username')
+      .populate('votes.question', 'title')
+      .populate('reviewedBy', 'username');
+
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get vote fraud report error:', error);
+    if (error.name === 'CastError') {
+      return reportNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching report'
+    });
+  }
+});
+
+// @route   PUT /api/moderation/vote-fraud/:id
+// @desc    Mark a report as reviewed, or dismiss it as a false positive and restore its votes
+// @access  Private (Moderator+)
+router.put('/vote-fraud/:id', authenticate, requireModerator, [
+  body('status')
+    .isIn(['reviewed', 'dismissed'])
+    .withMessage('Status must be reviewed or dismissed'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Claimed in one update, so two moderators cannot both dismiss (and restore) a report
+    const report = await VoteFraudReport.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'dismissed' } },
+      {
+        status: req.body.status,
+        reviewNote: req.body.note || null,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      if (await VoteFraudReport.exists({ _id: req.params.id })) {
+        return res.status(409).json({
+          success: false,
+          message: 'This report was dismissed and its votes restored; it can no longer be changed'
+        });
+      }
+      return reportNotFound(res);
+    }
+
+    let restored = 0;
+    if (report.status === 'dismissed') {
+      try {
+        restored = await restoreReportVotes(report);
+      } catch (error) {
+        // Let the dismissal be retried; it skips the votes already restored
+        await VoteFraudReport.updateOne({ _id: report._id }, { status: 'reviewed' });
+        throw error;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: report.status === 'dismissed' ? `Report dismissed; ${restored} vote(s) restored` : 'Report updated',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Update vote fraud report error:', error);
+    if (error.name === 'CastError') {
+      return reportNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating report'
+    });
+  }
+});
+
+// @route   POST /api/moderation/suspensions
+// @desc    Suspend a user for a number of days (read-only until it ends)
+// @access  Private (Moderator+)
+router.post('/suspensions', authenticate, requireModerator, [
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason between 1 and 500 characters is required'),
+  body('days')
+    .isInt({ min: 1, max: MAX_SUSPENSION_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_SUSPENSION_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.body.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (['moderator', 'admin'].includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Moderators and admins cannot be suspended'
+      });
+    }
+
+    const existing = await Suspension.findActiveForUser(user._id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `User is already suspended until ${existing.endsAt.toUTCString()}`,
+        data: existing
+      });
+    }
+
+    const suspension = await issueSuspension({
+      user,
+      moderator: req.user,
+      reason: req.body.reason,
+      days: parseInt(req.body.days)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User suspended',
+      data: suspension
+    });
+
+  } catch (error) {
+    console.error('Create suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending user'
+    });
+  }
+});
+
+// @route   GET /api/moderation/suspensions
+// @desc    List suspensions, newest first
+// @access  Private (Moderator+)
+router.get('/suspensions', authenticate, requireModerator, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(Suspension.SUSPENSION_STATUSES).withMessage('Invalid status'),
+  query('user').optional().isMongoId().withMessage('User must be a valid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, user } = req.query;
+
+    const filter = {};
+    if (user) filter.user = user;
+    if (status) filter.status = status;
+    // Suspensions past their end date count as expired even before the expiry job runs
+    if (status === 'active') filter.endsAt = { $gt: new Date() };
+
+    const [suspensions, total] = await Promise.all([
+      Suspension.find(filter)
+        .populate('user', 'username reputation')
+        .populate('issuedBy', 'username')
+        .populate('liftedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Suspension.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: suspensions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSuspensions: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suspensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suspensions'
+    });
+  }
+});
+
+// @route   POST /api/moderation/suspensions/:id/lift
+// @desc    End a suspension early
+// @access  Private (Moderator+)
+router.post('/suspensions/:id/lift', authenticate, requireModerator, [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const suspension = await Suspension.findById(req.params.id);
+
+    if (!suspension) {
+      return suspensionNotFound(res);
+    }
+
+    if (suspension.status !== 'active' || suspension.endsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspension is no longer active'
+      });
+    }
+
+    await liftSuspension(suspension, req.user, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      data: suspension
+    });
+
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    if (error.name === 'CastError') {
+      return suspensionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting suspension'
+    });
+  }
+});
+
+module.exports = router;
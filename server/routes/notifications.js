@@ -1,8 +1,18 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  findNotificationType,
+  resolveNotificationPreferences
+} = require('../config/notifications');
 const { 
+  requireScope,
   authenticate, 
+  rejectSuspended,
+  requireAdmin,
   updateLastActive
 } = require('../middleware/auth');
 
@@ -11,14 +21,57 @@ const router = express.Router();
 // Validation rules
 const createNotificationValidation = [
   body('recipient').isMongoId().withMessage('Valid recipient ID is required'),
-  body('type').isIn([
-    'answer', 'comment', 'upvote', 'downvote', 'accept', 'mention', 
-    'follow', 'badge', 'bounty', 'system', 'moderation'
-  ]).withMessage('Invalid notification type'),
+  body('type').isIn(NOTIFICATION_TYPES.map(entry => entry.type)).withMessage('Invalid notification type'),
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters')
 ];
 
+const updatePreferencesValidation = [
+  body('preferences')
+    .isObject()
+    .withMessage('preferences must be an object of { type: { channel: boolean } }')
+    .custom(preferences => {
+      Object.entries(preferences).forEach(([type, channels]) => {
+        const entry = findNotificationType(type);
+        if (!entry) {
+          throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+          throw new Error(`Channels for ${type} must be an object`);
+        }
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown notification channel: ${channel}`);
+          }
+          if (typeof enabled !== 'boolean') {
+            throw new Error(`${type}.${channel} must be a boolean`);
+          }
+          if (entry.locked && channel === 'inApp' && !enabled) {
+            throw new Error(`${entry.label} notifications are always shown in-app`);
+          }
+        });
+      });
+      return true;
+    })
+];
+
+// Helper function to build the preference matrix sent to the client
+const formatPreferences = (user) => {
+  const resolved = resolveNotificationPreferences(user.preferences.notifications);
+
+  return {
+    emailNotifications: user.preferences.emailNotifications !== false,
+    channels: NOTIFICATION_CHANNELS,
+    types: NOTIFICATION_TYPES.map(({ type, label, description, locked }) => ({
+      type,
+      label,
+      description,
+      locked: !!locked,
+      ...resolved[type]
+    }))
+  };
+};
+
 // @route   GET /api/notifications
 // @desc    Get notifications for authenticated user
 // @access  Private
@@ -26,11 +79,8 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('unreadOnly').optional().isBoolean().withMessage('UnreadOnly must be a boolean'),
-  query('type').optional().isIn([
-    'answer', 'comment', 'upvote', 'downvote', 'accept', 'mention', 
-    'follow', 'badge', 'bounty', 'system', 'moderation'
-  ]).withMessage('Invalid notification type')
-], authenticate, updateLastActive, async (req, res) => {
+  query('type').optional().isIn(NOTIFICATION_TYPES.map(entry => entry.type)).withMessage('Invalid notification type')
+], requireScope('notifications'), authenticate, updateLastActive, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -63,6 +113,7 @@ router.get('/', [
     // Calculate pagination
     const total = await Notification.countDocuments({
       recipient: req.user._id,
+      inApp: { $ne: false },
       isArchived: false,
       ...(options.unreadOnly && { isRead: false }),
       ...(options.type && { type: options.type })
@@ -93,7 +144,7 @@ router.get('/', [
 // @route   GET /api/notifications/unread-count
 // @desc    Get unread notification count for authenticated user
 // @access  Private
-router.get('/unread-count', authenticate, async (req, res) => {
+router.get('/unread-count', requireScope('notifications'), authenticate, async (req, res) => {
   try {
     const unreadCount = await Notification.getUnreadCount(req.user._id);
 
@@ -113,10 +164,71 @@ router.get('/unread-count', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/preferences
+// @desc    Get which channels each notification type is delivered on
+// @access  Private
+router.get('/preferences', requireScope('notifications'), authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: formatPreferences(req.user)
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn channels on or off per notification type; omitted entries are left unchanged
+// @access  Private
+router.put('/preferences', requireScope('notifications'), authenticate, updatePreferencesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    Object.entries(req.body.preferences).forEach(([type, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        updates[`preferences.notifications.${type}.${channel}`] = enabled;
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: formatPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
 // @route   GET /api/notifications/:id
 // @desc    Get single notification by ID
 // @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', requireScope('notifications'), authenticate, async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id)
       .populate('sender', 'username avatar')
@@ -167,16 +279,8 @@ router.get('/:id', authenticate, async (req, res) => {
 // @route   POST /api/notifications
 // @desc    Create a new notification (Admin/System only)
 // @access  Private (Admin)
-router.post('/', authenticate, createNotificationValidation, async (req, res) => {
+router.post('/', authenticate, rejectSuspended, requireAdmin, createNotificationValidation, async (req, res) => {
   try {
-    // Only admin can create notifications manually
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -241,8 +345,8 @@ router.post('/', authenticate, createNotificationValidation, async (req, res) =>
 
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
-// @access  Private
-router.put('/:id/read', authenticate, async (req, res) => {
+// @access  Private (also while suspended, since it is part of reading)
+router.put('/:id/read', requireScope('notifications'), authenticate, async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id);
 
@@ -288,8 +392,8 @@ router.put('/:id/read', authenticate, async (req, res) => {
 
 // @route   PUT /api/notifications/read-all
 // @desc    Mark all notifications as read
-// @access  Private
-router.put('/read-all', authenticate, async (req, res) => {
+// @access  Private (also while suspended, since it is part of reading)
+router.put('/read-all', requireScope('notifications'), authenticate, async (req, res) => {
   try {
     const result = await Notification.markAllAsReadForUser(req.user._id);
 
@@ -313,7 +417,7 @@ router.put('/read-all', authenticate, async (req, res) => {
 // @route   PUT /api/notifications/:id/archive
 // @desc    Archive a notification
 // @access  Private
-router.put('/:id/archive', authenticate, async (req, res) => {
+router.put('/:id/archive', requireScope('notifications'), authenticate, rejectSuspended, async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id);
 
@@ -357,7 +461,7 @@ router.put('/:id/archive', authenticate, async (req, res) => {
 // @route   DELETE /api/notifications/:id
 // @desc    Delete a notification
 // @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', requireScope('notifications'), authenticate, rejectSuspended, async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id);
 
@@ -401,21 +505,13 @@ router.delete('/:id', authenticate, async (req, res) => {
 // @route   POST /api/notifications/broadcast
 // @desc    Broadcast notification to all users (Admin only)
 // @access  Private (Admin)
-router.post('/broadcast', authenticate, [
+router.post('/broadcast', authenticate, rejectSuspended, requireAdmin, [
   body('type').isIn(['system', 'moderation']).withMessage('Type must be system or moderation'),
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
   body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority')
 ], async (req, res) => {
   try {
-    // Only admin can broadcast notifications
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -427,8 +523,8 @@ router.post('/broadcast', authenticate, [
 
     const { type, title, message, priority = 'medium', actionUrl, expiresAt } = req.body;
 
-    // Get all active users (simplified - in production you might want to batch this)
-    const User = require('../models/User');
+    // Get all active users (simplified - in production you might want to batch this).
+    // Broadcasts are in-app only; system and moderation notifications can't be muted in-app.
     const users = await User.find({ 
       lastActive: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Active in last 30 days
     }).select('_id');
@@ -467,18 +563,10 @@ router.post('/broadcast', authenticate, [
 // @route   DELETE /api/notifications/cleanup
 // @desc    Clean up old archived notifications (Admin only)
 // @access  Private (Admin)
-router.delete('/cleanup', authenticate, [
+router.delete('/cleanup', authenticate, rejectSuspended, requireAdmin, [
   query('daysOld').optional().isInt({ min: 1, max: 365 }).withMessage('DaysOld must be between 1 and 365')
 ], async (req, res) => {
   try {
-    // Only admin can cleanup notifications
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -0,0 +1,201 @@
+const express = require('express');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { getProvider, listProviders } = require('../config/oauthProviders');
+const { generateRandomToken, createPkcePair } = require('../utils/oauth');
+const { issueAuthTokens, generatePurposeToken } = require('../utils/authTokens');
+const { registerSuccessfulLogin } = require('../services/loginSecurity');
+
+const router = express.Router();
+
+// How long a user has to finish signing in at the provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const getRedirectUri = (providerName) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${apiUrl}/api/auth/oauth/${providerName}/callback`;
+};
+
+// Helper to send the browser back to the client with the outcome in the URL fragment
+const redirectToClient = (res, params) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  res.redirect(`${clientUrl}/oauth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+// Helper to find, link or create the local account for an external profile
+const findOrLinkUser = async (providerName, profile) => {
+  const linkedUser = await User.findByIdentity(providerName, profile.subject);
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  if (!profile.email) {
+    throw new Error('The provider did not return an email address');
+  }
+
+  const existingUser = await User.findOne({ email: profile.email });
+
+  if (existingUser) {
+    // Only a verified address proves the external account owns the local one
+    if (!profile.emailVerified) {
+      throw new Error('An account with this email already exists. Sign in with your password instead.');
+    }
+
+    existingUser.identities.push({
+      provider: providerName,
+      subject: profile.subject,
+      email: profile.email
+    });
+    if (!existingUser.isVerified) {
+      existingUser.isVerified = true;
+      existingUser.verifiedAt = new Date();
+    }
+    await existingUser.save();
+    return existingUser;
+  }
+
+  const username = await User.generateUniqueUsername(
+    profile.preferredUsername || profile.email.split('@')[0]
+  );
+
+  const user = new User({
+    username,
+    email: profile.email,
+    isVerified: profile.emailVerified,
+    verifiedAt: profile.emailVerified ? new Date() : null,
+    identities: [{
+      provider: providerName,
+      subject: profile.subject,
+      email: profile.email
+    }]
+  });
+
+  await user.save();
+  return user;
+};
+
+const resolveUser = async (providerName, profile) => {
+  try {
+    return await findOrLinkUser(providerName, profile);
+  } catch (error) {
+    // A concurrent first sign-in with the same identity linked it first
+    if (error.code === 11000) {
+      const linkedUser = await User.findByIdentity(providerName, profile.subject);
+      if (linkedUser) {
+        return linkedUser;
+      }
+    }
+    throw error;
+  }
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List the enabled external sign-in providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders()
+  });
+});
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start the authorization-code + PKCE flow
+// @access  Public
+router.get('/:provider', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not found'
+      });
+    }
+
+    const state = generateRandomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await OAuthState.create({
+      state,
+      provider: provider.name,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    const authorizationUrl = await provider.getAuthorizationUrl({
+      state,
+      codeChallenge,
+      redirectUri: getRedirectUri(provider.name)
+    });
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting sign-in'
+    });
+  }
+});
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Finish the flow, link or provision the account and start a session
+// @access  Public
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not found'
+    });
+  }
+
+  const { code, state, error } = req.query;
+
+  if (error) {
+    return redirectToClient(res, { error: String(error) });
+  }
+
+  try {
+    const pending = state && await OAuthState.consume(String(state), provider.name);
+
+    if (!pending || !code) {
+      return redirectToClient(res, { error: 'Sign-in request expired. Please try again.' });
+    }
+
+    const tokens = await provider.exchangeCode({
+      code: String(code),
+      codeVerifier: pending.codeVerifier,
+      redirectUri: getRedirectUri(provider.name)
+    });
+    const profile = await provider.getProfile(tokens);
+    const user = await resolveUser(provider.name, profile);
+
+    if (user.accountStatus === 'suspended') {
+      return redirectToClient(res, { error: 'This account has been suspended.' });
+    }
+
+    // Accounts with two-factor enabled still have to pass the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return redirectToClient(res, {
+        twoFactorRequired: 'true',
+        challengeToken: generatePurposeToken({ userId: user._id }, 'login-2fa', '5m')
+      });
+    }
+
+    await registerSuccessfulLogin(user, req, 'oauth');
+    await user.updateLastActive();
+    const authTokens = await issueAuthTokens(user, req);
+
+    redirectToClient(res, authTokens);
+
+  } catch (callbackError) {
+    console.error('OAuth callback error:', callbackError);
+    redirectToClient(res, { error: callbackError.message || 'Sign-in failed' });
+  }
+});
+
+module.exports = router;
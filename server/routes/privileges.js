@@ -0,0 +1,34 @@
+const express = require('express');
+const { PRIVILEGES } = require('../config/privileges');
+const { optionalAuth, hasPrivilege } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/privileges
+// @desc    Get the reputation privileges; signed-in users also see which ones they have unlocked
+// @access  Public
+router.get('/', optionalAuth, (req, res) => {
+  const privileges = PRIVILEGES.map(privilege => ({
+    key: privilege.key,
+    name: privilege.name,
+    description: privilege.description,
+    reputation: privilege.reputation,
+    ...(req.user && {
+      unlocked: hasPrivilege(req.user, privilege.key),
+      reputationNeeded: Math.max(0, privilege.reputation - req.user.reputation)
+    })
+  }));
+
+  res.json({
+    success: true,
+    data: privileges,
+    ...(req.user && {
+      user: {
+        reputation: req.user.reputation,
+        role: req.user.role
+      }
+    })
+  });
+});
+
+module.exports = router;
@@ -1,18 +1,47 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const sanitizeHtml = require('sanitize-html');
+const { body, validationResult, query, param } = require('express-validator');
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
 const Tag = require('../models/Tag');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const QuestionRevision = require('../models/QuestionRevision');
+const SuggestedEdit = require('../models/SuggestedEdit');
+const CloseVote = require('../models/CloseVote');
 const { 
+  requireScope,
   authenticate, 
+  rejectSuspended,
   optionalAuth, 
+  requireVerified,
   requireOwnershipOrModerator,
   createUserRateLimit,
+  requireModerator,
+  requirePrivilege,
+  hasPrivilege,
+  sendPrivilegeRequired,
   updateLastActive
 } = require('../middleware/auth');
+const { currentVote, recordVoteChange } = require('../services/reputation');
+const { DOMAIN_EVENTS, emitDomainEvent } = require('../services/domainEvents');
+const {
+  sanitizePostContent,
+  findNewTags,
+  questionMatches,
+  editQuestion
+} = require('../services/postEditing');
+const { summarizeCloseVotes, castCloseVote } = require('../services/closeVotes');
+const { mergeQuestion } = require('../services/questionMerge');
+const {
+  MIN_BOUNTY,
+  MAX_BOUNTY,
+  hasOpenBounty,
+  offerBounty,
+  awardBounty,
+  refundBounty
+} = require('../services/bounties');
+const { addsLinks } = require('../utils/links');
+const { diffWords, diffTags } = require('../utils/diff');
 
 const router = express.Router();
 
@@ -23,19 +52,6 @@ const questionCreateRateLimit = createUserRateLimit({
   message: 'Too many questions created. Please wait before posting another question.'
 });
 
-// HTML sanitization options
-const sanitizeOptions = {
-  allowedTags: [
-    'p', 'br', 'strong', 'em', 'u', 's', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-    'blockquote', 'code', 'pre', 'ul', 'ol', 'li', 'a', 'img'
-  ],
-  allowedAttributes: {
-    'a': ['href', 'title'],
-    'img': ['src', 'alt', 'title', 'width', 'height']
-  },
-  allowedSchemes: ['http', 'https', 'mailto']
-};
-
 // Validation rules
 const createQuestionValidation = [
   body('title')
@@ -71,7 +87,67 @@ const updateQuestionValidation = [
   body('tags')
     .optional()
     .isArray({ min: 1, max: 5 })
-    .withMessage('Please provide 1-5 tags')
+    .withMessage('Please provide 1-5 tags'),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Edit reason cannot exceed 300 characters')
+];
+
+const rollbackValidation = [
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+];
+
+const closeVoteValidation = [
+  body('reason')
+    .isIn(Question.CLOSE_REASONS)
+    .withMessage(`Reason must be one of: ${Question.CLOSE_REASONS.join(', ')}`),
+  body('duplicateOf')
+    .custom((duplicateOf, { req }) => {
+      if (req.body.reason !== 'duplicate') {
+        if (duplicateOf !== undefined && !(Array.isArray(duplicateOf) && duplicateOf.length === 0)) {
+          throw new Error('Only duplicate votes can link to other questions');
+        }
+        return true;
+      }
+      if (!Array.isArray(duplicateOf) || duplicateOf.length < 1 || duplicateOf.length > Question.MAX_DUPLICATE_TARGETS) {
+        throw new Error(`Please provide 1-${Question.MAX_DUPLICATE_TARGETS} questions this one duplicates`);
+      }
+      if (!duplicateOf.every(id => typeof id === 'string' && /^[a-f\d]{24}$/i.test(id))) {
+        throw new Error('Each duplicate target must be a question ID');
+      }
+      return true;
+    })
+];
+
+const bountyValidation = [
+  body('amount')
+    .isInt({ min: MIN_BOUNTY, max: MAX_BOUNTY })
+    .withMessage(`Bounty must be between ${MIN_BOUNTY} and ${MAX_BOUNTY} reputation`)
+];
+
+const awardBountyValidation = [
+  body('answerId').isMongoId().withMessage('Answer must be an answer ID')
+];
+
+const mergeValidation = [
+  body('targetId').isMongoId().withMessage('Target must be a question ID'),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+];
+
+const revisionsValidation = [
+  query('from').optional().isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number')
 ];
 
 // Helper function to process tags
@@ -91,16 +167,22 @@ const processTags = async (tags, userId) => {
   return processedTags;
 };
 
+const questionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Question not found'
+});
+
 // @route   GET /api/questions
 // @desc    Get all questions with filtering and pagination
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('sort').optional().isIn(['newest', 'oldest', 'votes', 'views', 'answers', 'active']).withMessage('Invalid sort option'),
+  query('sort').optional().isIn(['newest', 'oldest', 'votes', 'views', 'answers', 'active', 'bounty']).withMessage('Invalid sort option'),
   query('tag').optional().isString().withMessage('Tag must be a string'),
   query('search').optional().isString().withMessage('Search must be a string'),
-  query('answered').optional().isBoolean().withMessage('Answered must be a boolean')
+  query('answered').optional().isBoolean().withMessage('Answered must be a boolean'),
+  query('featured').optional().isBoolean().withMessage('Featured must be a boolean')
 ], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -119,6 +201,7 @@ router.get('/', [
       tag,
       search,
       answered,
+      featured,
       author
     } = req.query;
 
@@ -141,6 +224,12 @@ router.get('/', [
       query.author = author;
     }
 
+    // Featured questions are the ones with an open bounty
+    if (featured === 'true') {
+      query.featured = true;
+      query['bounty.expiresAt'] = { $gt: new Date() };
+    }
+
     // Build sort
     let sortOption = {};
     switch (sort) {
@@ -159,6 +248,9 @@ router.get('/', [
       case 'active':
         sortOption = { lastActivity: -1 };
         break;
+      case 'bounty':
+        sortOption = { 'bounty.amount': -1, 'bounty.expiresAt': 1 };
+        break;
       default: // newest
         sortOption = { createdAt: -1 };
     }
@@ -213,6 +305,9 @@ router.get('/:id', optionalAuth, updateLastActive, async (req, res) => {
     const question = await Question.findById(req.params.id)
       .populate('author', 'username avatar reputation role createdAt')
       .populate('lastActivityBy', 'username')
+      .populate('closedBy', 'username')
+      .populate('bounty.offeredBy', 'username')
+      .populate('duplicateOf', 'title votes isAnswered')
       .populate('acceptedAnswer')
       .populate({
         path: 'answers',
@@ -229,6 +324,19 @@ router.get('/:id', optionalAuth, updateLastActive, async (req, res) => {
       });
     }
 
+    // A merged question only redirects to the one it was merged into
+    if (question.mergedInto) {
+      return res.json({
+        success: true,
+        message: 'This question was merged into another question',
+        data: {
+          _id: question._id,
+          title: question.title,
+          mergedInto: question.mergedInto
+        }
+      });
+    }
+
     // Add view if user is authenticated and hasn't viewed before
     if (req.user) {
       await question.addView(req.user._id);
@@ -238,9 +346,19 @@ router.get('/:id', optionalAuth, updateLastActive, async (req, res) => {
       await question.save();
     }
 
+    // Questions closed as duplicates of this one
+    const linkedDuplicates = await Question.find({ duplicateOf: question._id, mergedInto: null })
+      .select('title votes isAnswered createdAt')
+      .sort({ votes: -1, createdAt: -1 })
+      .limit(20)
+      .lean();
+
     res.json({
       success: true,
-      data: question
+      data: {
+        ...question.toJSON(),
+        linkedDuplicates
+      }
     });
 
   } catch (error) {
@@ -261,7 +379,7 @@ router.get('/:id', optionalAuth, updateLastActive, async (req, res) => {
 // @route   POST /api/questions
 // @desc    Create a new question
 // @access  Private
-router.post('/', authenticate, questionCreateRateLimit, createQuestionValidation, async (req, res) => {
+router.post('/', requireScope('write:questions'), authenticate, rejectSuspended, requireVerified, questionCreateRateLimit, createQuestionValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -275,7 +393,17 @@ router.post('/', authenticate, questionCreateRateLimit, createQuestionValidation
     let { title, content, tags } = req.body;
 
     // Sanitize HTML content
-    content = sanitizeHtml(content, sanitizeOptions);
+    content = sanitizePostContent(content);
+
+    if (addsLinks(content) && !hasPrivilege(req.user, 'post-links')) {
+      return sendPrivilegeRequired(res, 'post-links', req.user);
+    }
+
+    // Tags that do not exist yet are created, which is a privilege
+    const newTags = await findNewTags(tags);
+    if (newTags.length > 0 && !hasPrivilege(req.user, 'create-tags')) {
+      return sendPrivilegeRequired(res, 'create-tags', req.user, { newTags });
+    }
 
     // Process tags
     const processedTags = await processTags(tags, req.user._id);
@@ -290,12 +418,15 @@ router.post('/', authenticate, questionCreateRateLimit, createQuestionValidation
     });
 
     await question.save();
+    await QuestionRevision.record(question, req.user._id, { kind: 'create' });
 
     // Update user stats
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { 'stats.questionsAsked': 1 }
     });
 
+    emitDomainEvent(DOMAIN_EVENTS.QUESTION_CREATED, { userId: req.user._id, questionId: question._id });
+
     // Populate author info
     await question.populate('author', 'username avatar reputation');
 
@@ -317,7 +448,7 @@ router.post('/', authenticate, questionCreateRateLimit, createQuestionValidation
 // @route   PUT /api/questions/:id
 // @desc    Update a question
 // @access  Private (Author or Moderator)
-router.put('/:id', authenticate, updateQuestionValidation, async (req, res) => {
+router.put('/:id', requireScope('write:questions'), authenticate, rejectSuspended, updateQuestionValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -337,43 +468,34 @@ router.put('/:id', authenticate, updateQuestionValidation, async (req, res) => {
       });
     }
 
-    // Check ownership or moderator status
-    req.resource = question;
-    const ownershipCheck = requireOwnershipOrModerator();
-    await new Promise((resolve, reject) => {
-      ownershipCheck(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    // Authors edit their own questions; anyone else needs the edit privilege
+    if (!question.author.equals(req.user._id) && !hasPrivilege(req.user, 'edit-posts')) {
+      return sendPrivilegeRequired(res, 'edit-posts', req.user);
+    }
 
-    let { title, content, tags } = req.body;
+    let { title, content, tags, reason } = req.body;
 
     // Sanitize HTML content if provided
     if (content) {
-      content = sanitizeHtml(content, sanitizeOptions);
+      content = sanitizePostContent(content);
+
+      if (addsLinks(content, question.content) && !hasPrivilege(req.user, 'post-links')) {
+        return sendPrivilegeRequired(res, 'post-links', req.user);
+      }
     }
 
-    // Process tags if provided
-    let processedTags;
+    // Check tags if provided
     if (tags) {
-      processedTags = await processTags(tags, req.user._id);
+      const newTags = await findNewTags(tags);
+      if (newTags.length > 0 && !hasPrivilege(req.user, 'create-tags')) {
+        return sendPrivilegeRequired(res, 'create-tags', req.user, { newTags });
+      }
     }
 
-    // Update fields
-    const updateData = {};
-    if (title) updateData.title = title;
-    if (content) updateData.content = content;
-    if (processedTags) updateData.tags = processedTags;
-    
-    updateData.lastActivity = new Date();
-    updateData.lastActivityBy = req.user._id;
-
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('author', 'username avatar reputation');
+    const updatedQuestion = await editQuestion(question, { title, content, tags }, req.user._id, {
+      reason: reason || null
+    });
+    await updatedQuestion.populate('author', 'username avatar reputation');
 
     res.json({
       success: true,
@@ -399,7 +521,7 @@ router.put('/:id', authenticate, updateQuestionValidation, async (req, res) => {
 // @route   DELETE /api/questions/:id
 // @desc    Delete a question
 // @access  Private (Author or Moderator)
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', requireScope('write:questions'), authenticate, rejectSuspended, async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
 
@@ -420,11 +542,18 @@ router.delete('/:id', authenticate, async (req, res) => {
       });
     });
 
-    // Delete associated answers
+    // Delete associated answers, revisions, suggested edits and close votes
     await Answer.deleteMany({ question: req.params.id });
+    await QuestionRevision.deleteMany({ question: req.params.id });
+    await SuggestedEdit.deleteMany({ question: req.params.id });
+    await CloseVote.deleteMany({ question: req.params.id });
 
-    // Delete the question
+    // An open bounty goes back to whoever offered it
+    await refundBounty(question);
+
+    // Delete the question, and unlink the questions closed as its duplicates
     await Question.findByIdAndDelete(req.params.id);
+    await Question.updateMany({ duplicateOf: req.params.id }, { $pull: { duplicateOf: req.params.id } });
 
     // Update user stats
     await User.findByIdAndUpdate(question.author, {
@@ -459,10 +588,536 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/questions/:id/revisions
+// @desc    List a question's revisions with a word-level diff between two of them
+//          (from/to revision numbers; defaults to the latest revision and the one before it)
+// @access  Public
+router.get('/:id/revisions', revisionsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    await QuestionRevision.ensureBaseline(question);
+
+    const revisions = await QuestionRevision.find({ question: question._id })
+      .populate('editor', 'username avatar reputation')
+      .populate('approvedBy', 'username')
+      .sort({ revision: 1 });
+
+    const to = parseInt(req.query.to) || revisions[revisions.length - 1].revision;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    const toRevision = revisions.find(revision => revision.revision === to);
+    // Revision 1 is compared with an empty question
+    const fromRevision = from >= 1
+      ? revisions.find(revision => revision.revision === from)
+      : { revision: null, title: '', content: '', tags: [] };
+
+    if (!toRevision || !fromRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revisions: revisions.map(revision => {
+          const { content, ...summary } = revision.toJSON();
+          return summary;
+        }),
+        diff: {
+          from: fromRevision.revision,
+          to: toRevision.revision,
+          title: diffWords(fromRevision.title, toRevision.title),
+          content: diffWords(fromRevision.content, toRevision.content),
+          tags: diffTags(fromRevision.tags, toRevision.tags)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get question revisions error:', error);
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/revisions/:revision/rollback
+// @desc    Restore the title, content and tags of an earlier revision
+// @access  Private (Author or Moderator)
+router.post('/:id/revisions/:revision/rollback', requireScope('write:questions'), authenticate, rejectSuspended, rollbackValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    if (!question.author.equals(req.user._id) && !['moderator', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or a moderator can roll back this question'
+      });
+    }
+
+    const target = await QuestionRevision.findOne({
+      question: question._id,
+      revision: parseInt(req.params.revision)
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (questionMatches(question, target)) {
+      return res.status(400).json({
+        success: false,
+        message: `The question already matches revision ${target.revision}`
+      });
+    }
+
+    // Tags deleted since the revision would be created again, which is a privilege
+    const newTags = await findNewTags(target.tags);
+    if (newTags.length > 0 && !hasPrivilege(req.user, 'create-tags')) {
+      return sendPrivilegeRequired(res, 'create-tags', req.user, { newTags });
+    }
+
+    await editQuestion(question, {
+      title: target.title,
+      content: target.content,
+      tags: target.tags
+    }, req.user._id, {
+      kind: 'rollback',
+      reason: req.body.reason || `Rolled back to revision ${target.revision}`,
+      rolledBackTo: target.revision
+    });
+
+    await question.populate('author', 'username avatar reputation');
+
+    res.json({
+      success: true,
+      message: `Question rolled back to revision ${target.revision}`,
+      data: question
+    });
+
+  } catch (error) {
+    console.error('Rollback question error:', error);
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back question'
+    });
+  }
+});
+
+// @route   GET /api/questions/:id/close-votes
+// @desc    Count the open close and reopen votes on a question
+// @access  Public
+router.get('/:id/close-votes', optionalAuth, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await summarizeCloseVotes(question, req.user?._id)
+    });
+
+  } catch (error) {
+    console.error('Get close votes error:', error);
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching close votes'
+    });
+  }
+});
+
+// Shared handler for close and reopen votes
+const handleCloseVote = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    if (action === 'close' && question.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is already closed'
+      });
+    }
+
+    if (action === 'reopen' && !question.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is not closed'
+      });
+    }
+
+    if (question.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question was merged into another question'
+      });
+    }
+
+    // Duplicate votes must point at other questions that still exist on their own
+    const duplicateOf = action === 'close' && req.body.reason === 'duplicate'
+      ? [...new Set(req.body.duplicateOf.map(id => id.toLowerCase()))]
+      : [];
+
+    if (duplicateOf.includes(question._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A question cannot be a duplicate of itself'
+      });
+    }
+
+    const targets = await Question.find({ _id: { $in: duplicateOf } }).select('mergedInto');
+    if (targets.length !== duplicateOf.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate target not found'
+      });
+    }
+
+    const merged = targets.find(target => target.mergedInto);
+    if (merged) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${merged._id} was merged into ${merged.mergedInto}; link that question instead`
+      });
+    }
+
+    const result = await castCloseVote({
+      question,
+      voter: req.user,
+      action,
+      reason: req.body.reason,
+      duplicateOf
+    });
+
+    let message;
+    if (result.decided) {
+      message = action === 'close' ? 'Question closed' : 'Question reopened';
+    } else {
+      message = `Vote recorded (${result.votes} of ${result.threshold})`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: await summarizeCloseVotes(question, req.user._id)
+    });
+
+  } catch (error) {
+    console.error(`${action === 'close' ? 'Close' : 'Reopen'} vote error:`, error);
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording vote'
+    });
+  }
+};
+
+// @route   POST /api/questions/:id/close-votes
+// @desc    Vote to close a question (a moderator's vote closes it straight away)
+// @access  Private (close-votes privilege)
+router.post('/:id/close-votes', requireScope('write:questions'), authenticate, rejectSuspended, requirePrivilege('close-votes'), closeVoteValidation, handleCloseVote('close'));
+
+// @route   POST /api/questions/:id/reopen-votes
+// @desc    Vote to reopen a closed question (a moderator's vote reopens it straight away)
+// @access  Private (close-votes privilege)
+router.post('/:id/reopen-votes', requireScope('write:questions'), authenticate, rejectSuspended, requirePrivilege('close-votes'), handleCloseVote('reopen'));
+
+// @route   POST /api/questions/:id/merge
+// @desc    Merge a duplicate into another question: answers, votes and tags move to the
+//          target, and the duplicate is closed and kept as a redirect
+// @access  Private (Moderator only)
+router.post('/:id/merge', requireScope('write:questions'), authenticate, rejectSuspended, requireModerator, mergeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.targetId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A question cannot be merged into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Question.findById(req.params.id),
+      Question.findById(req.body.targetId)
+    ]);
+
+    if (!source) {
+      return questionNotFound(res);
+    }
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Target question not found'
+      });
+    }
+
+    if (source.mergedInto || target.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: 'Merged questions cannot be merged again'
+      });
+    }
+
+    await mergeQuestion(source, target, req.user, req.body.reason);
+    await target.populate('author', 'username avatar reputation');
+
+    res.json({
+      success: true,
+      message: 'Question merged',
+      data: target
+    });
+
+  } catch (error) {
+    console.error('Merge question error:', error);
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging question'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/bounty
+// @desc    Offer a bounty, paid for up front from the offerer's reputation
+// @access  Private (offer-bounty privilege)
+router.post('/:id/bounty', requireScope('write:questions'), authenticate, rejectSuspended, requirePrivilege('offer-bounty'), bountyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const amount = parseInt(req.body.amount);
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    if (question.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closed questions cannot have a bounty'
+      });
+    }
+
+    if (hasOpenBounty(question)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This question already has an open bounty'
+      });
+    }
+
+    const updated = await offerBounty(question, req.user, amount);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This question already has an open bounty'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Bounty of ${amount} reputation offered`,
+      data: {
+        bounty: updated.bounty
+      }
+    });
+
+  } catch (error) {
+    console.error('Offer bounty error:', error);
+    if (error.status === 403) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while offering bounty'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/bounty/award
+// @desc    Award the open bounty to an answer before it expires
+// @access  Private (Bounty offerer only)
+router.post('/:id/bounty/award', requireScope('write:questions'), authenticate, rejectSuspended, awardBountyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return questionNotFound(res);
+    }
+
+    if (!hasOpenBounty(question)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This question has no open bounty'
+      });
+    }
+
+    if (!question.bounty.offeredBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user who offered the bounty can award it'
+      });
+    }
+
+    if (question.bounty.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This bounty has expired'
+      });
+    }
+
+    const answer = await Answer.findOne({
+      _id: req.body.answerId,
+      question: question._id,
+      isDeleted: false
+    });
+
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found on this question'
+      });
+    }
+
+    if (answer.author.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot award a bounty to your own answer'
+      });
+    }
+
+    const amount = await awardBounty(question, answer, req.user);
+
+    if (amount === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'This bounty has already been settled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Bounty of ${amount} reputation awarded`,
+      data: {
+        answer: answer._id,
+        amount
+      }
+    });
+
+  } catch (error) {
+    console.error('Award bounty error:', error);
+    if (error.name === 'CastError') {
+      return questionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while awarding bounty'
+    });
+  }
+});
+
 // @route   POST /api/questions/:id/vote
 // @desc    Vote on a question
 // @access  Private
-router.post('/:id/vote', authenticate, [
+router.post('/:id/vote', requireScope('write:questions'), authenticate, rejectSuspended, [
   body('type').isIn(['upvote', 'downvote']).withMessage('Type must be upvote or downvote')
 ], async (req, res) => {
   try {
@@ -493,25 +1148,47 @@ router.post('/:id/vote', authenticate, [
       });
     }
 
+    // Votes toggle: repeating a vote retracts it, the opposite vote replaces it
+    const previousVote = currentVote(question, req.user._id);
+    const newVote = previousVote === type ? null : type;
+
+    // Casting a vote needs the matching privilege; retracting one never does
+    if (newVote && !hasPrivilege(req.user, newVote)) {
+      return sendPrivilegeRequired(res, newVote, req.user);
+    }
+
     // Apply vote
     if (type === 'upvote') {
       await question.addUpvote(req.user._id);
-      
-      // Create notification for upvote
+    } else {
+      await question.addDownvote(req.user._id);
+    }
+
+    // Update author reputation (retracted votes give their points back)
+    await recordVoteChange({
+      contentType: 'question',
+      post: question,
+      author: question.author._id,
+      voter: req.user._id,
+      previousVote,
+      newVote
+    });
+
+    emitDomainEvent(DOMAIN_EVENTS.POST_VOTED, {
+      userId: question.author._id,
+      voterId: req.user._id,
+      contentType: 'question',
+      postId: question._id
+    });
+
+    // Create notification for a new upvote
+    if (newVote === 'upvote') {
       await Notification.notifyUpvote(
         question.author._id,
         req.user._id,
         question,
         'question'
       );
-      
-      // Update author reputation (+5 for question upvote)
-      await question.author.updateReputation(5);
-    } else {
-      await question.addDownvote(req.user._id);
-      
-      // Update author reputation (-2 for question downvote)
-      await question.author.updateReputation(-2);
     }
 
     res.json({
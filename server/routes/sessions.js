@@ -0,0 +1,107 @@
+const express = require('express');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticate, updateLastActive } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private (session only)
+router.get('/', authenticate, updateLastActive, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere else (revoke every session except the current one)
+// @access  Private (session only)
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const others = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      _id: { $ne: req.sessionId }
+    }).select('_id');
+
+    await Session.revokeAllForUser(req.user._id, req.sessionId);
+    await RefreshToken.updateMany(
+      { session: { $in: others.map(session => session._id) }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: {
+        revokedCount: others.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private (session only)
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.revoke(req.params.id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await RefreshToken.revokeSession(session._id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+module.exports = router;
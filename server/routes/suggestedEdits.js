@@ -0,0 +1,493 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const SuggestedEdit = require('../models/SuggestedEdit');
+const User = require('../models/User');
+const {
+  authenticate,
+  rejectSuspended,
+  hasPrivilege,
+  sendPrivilegeRequired
+} = require('../middleware/auth');
+const { sanitizePostContent, findNewTags } = require('../services/postEditing');
+const {
+  EDIT_PRIVILEGES,
+  loadTarget,
+  snapshotTarget,
+  completeSnapshot,
+  sameSnapshot,
+  approveSuggestedEdit,
+  rejectSuggestedEdit
+} = require('../services/suggestedEdits');
+const { addsLinks } = require('../utils/links');
+const { diffWords, diffTags } = require('../utils/diff');
+
+const router = express.Router();
+
+// Shortest content accepted for each target, matching the create and update routes
+const MIN_CONTENT_LENGTH = {
+  question: 30,
+  answer: 20,
+  tag: 0
+};
+
+// Longest tag wiki accepted by the Tag model
+const MAX_WIKI_CONTENT_LENGTH = 10000;
+
+const TARGET_LABELS = {
+  question: 'Question',
+  answer: 'Answer',
+  tag: 'Tag'
+};
+
+// Validation rules
+const createSuggestedEditValidation = [
+  body('targetType')
+    .isIn(SuggestedEdit.SUGGESTED_EDIT_TARGETS)
+    .withMessage('Target type must be question, answer or tag'),
+  body('targetId').isMongoId().withMessage('Valid target ID is required'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Title must be between 10 and 200 characters'),
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Content must be a string')
+    .trim(),
+  body('tags')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Please provide 1-5 tags')
+    .custom((tags) => {
+      if (!tags.every(tag => typeof tag === 'string' && tag.length <= 30)) {
+        throw new Error('Each tag must be a string with max 30 characters');
+      }
+      return true;
+    }),
+  body('excerpt')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Wiki excerpt cannot exceed 200 characters'),
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Edit summary cannot exceed 300 characters')
+];
+
+const reviewReasonValidation = (required) => [
+  (required ? body('reason') : body('reason').optional({ nullable: true }))
+    .isString()
+    .trim()
+    .isLength({ min: required ? 1 : 0, max: 300 })
+    .withMessage(required ? 'A reason between 1 and 300 characters is required' : 'Reason cannot exceed 300 characters')
+];
+
+// Helper function to list the target types a user may review
+const reviewableTypes = (user) => SuggestedEdit.SUGGESTED_EDIT_TARGETS
+  .filter(targetType => hasPrivilege(user, EDIT_PRIVILEGES[targetType]));
+
+const suggestionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Suggested edit not found'
+});
+
+// Helper function to load a pending suggestion and its target for review; sends the error response itself
+const loadForReview = async (req, res) => {
+  const suggestion = await SuggestedEdit.findById(req.params.id);
+
+  if (!suggestion) {
+    suggestionNotFound(res);
+    return null;
+  }
+
+  if (suggestion.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `This suggested edit was already ${suggestion.status}`
+    });
+    return null;
+  }
+
+  if (!hasPrivilege(req.user, EDIT_PRIVILEGES[suggestion.targetType])) {
+    sendPrivilegeRequired(res, EDIT_PRIVILEGES[suggestion.targetType], req.user);
+    return null;
+  }
+
+  if (suggestion.proposedBy.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot review your own suggested edit'
+    });
+    return null;
+  }
+
+  const target = await loadTarget(suggestion.targetType, suggestion[suggestion.targetType]);
+
+  if (!target) {
+    res.status(404).json({
+      success: false,
+      message: `${TARGET_LABELS[suggestion.targetType]} no longer exists`
+    });
+    return null;
+  }
+
+  return { suggestion, target };
+};
+
+// @route   POST /api/suggested-edits
+// @desc    Suggest an edit to a question, answer or tag wiki you cannot edit directly
+// @access  Private
+router.post('/', authenticate, rejectSuspended, createSuggestedEditValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { targetType, targetId, title, tags, excerpt, comment } = req.body;
+    let { content } = req.body;
+
+    const target = await loadTarget(targetType, targetId);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `${TARGET_LABELS[targetType]} not found`
+      });
+    }
+
+    const ownsTarget = targetType !== 'tag' && target.author.equals(req.user._id);
+    if (ownsTarget || hasPrivilege(req.user, EDIT_PRIVILEGES[targetType])) {
+      return res.status(400).json({
+        success: false,
+        message: `You can edit this ${targetType} directly`
+      });
+    }
+
+    if (content !== undefined) {
+      content = sanitizePostContent(content);
+
+      if (content.length < MIN_CONTENT_LENGTH[targetType]) {
+        return res.status(400).json({
+          success: false,
+          message: `Content must be at least ${MIN_CONTENT_LENGTH[targetType]} characters`
+        });
+      }
+
+      if (targetType === 'tag' && content.length > MAX_WIKI_CONTENT_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Wiki content cannot exceed ${MAX_WIKI_CONTENT_LENGTH} characters`
+        });
+      }
+    }
+
+    const original = snapshotTarget(targetType, target);
+    const proposed = completeSnapshot(original, { title, content, tags, excerpt });
+
+    if (sameSnapshot(original, proposed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The suggested edit does not change anything'
+      });
+    }
+
+    if (addsLinks(proposed.content, original.content) && !hasPrivilege(req.user, 'post-links')) {
+      return sendPrivilegeRequired(res, 'post-links', req.user);
+    }
+
+    if (proposed.tags) {
+      const newTags = await findNewTags(proposed.tags);
+      if (newTags.length > 0 && !hasPrivilege(req.user, 'create-tags')) {
+        return sendPrivilegeRequired(res, 'create-tags', req.user, { newTags });
+      }
+    }
+
+    const pending = await SuggestedEdit.findPendingFor(targetType, target._id);
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${targetType} already has a suggested edit waiting for review`
+      });
+    }
+
+    const suggestion = await SuggestedEdit.create({
+      targetType,
+      question: targetType === 'question' ? target._id : (target.question || null),
+      answer: targetType === 'answer' ? target._id : null,
+      tag: targetType === 'tag' ? target._id : null,
+      proposedBy: req.user._id,
+      comment: comment || null,
+      original,
+      proposed
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Suggested edit submitted for review',
+      data: suggestion
+    });
+
+  } catch (error) {
+    console.error('Create suggested edit error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Target not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suggesting edit'
+    });
+  }
+});
+
+// @route   GET /api/suggested-edits
+// @desc    Review queue (oldest pending first). Users who cannot review see their own suggestions.
+// @access  Private
+router.get('/', authenticate, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('status').optional().isIn(SuggestedEdit.SUGGESTED_EDIT_STATUSES).withMessage('Invalid status'),
+  query('targetType').optional().isIn(SuggestedEdit.SUGGESTED_EDIT_TARGETS).withMessage('Invalid target type'),
+  query('mine').optional().isBoolean().withMessage('Mine must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || 'pending';
+    const reviewable = reviewableTypes(req.user);
+
+    const { targetType } = req.query;
+
+    const filter = { status };
+    if (req.query.mine === 'true' || reviewable.length === 0) {
+      filter.proposedBy = req.user._id;
+      if (targetType) filter.targetType = targetType;
+    } else if (targetType) {
+      if (!reviewable.includes(targetType)) {
+        return sendPrivilegeRequired(res, EDIT_PRIVILEGES[targetType], req.user);
+      }
+      filter.targetType = targetType;
+    } else {
+      filter.targetType = { $in: reviewable };
+    }
+
+    const [suggestions, total] = await Promise.all([
+      SuggestedEdit.find(filter)
+        .populate('proposedBy', 'username avatar reputation')
+        .populate('reviewedBy', 'username')
+        .populate('question', 'title')
+        .populate('tag', 'name')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SuggestedEdit.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: suggestions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSuggestedEdits: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suggested edits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggested edits'
+    });
+  }
+});
+
+// @route   GET /api/suggested-edits/:id
+// @desc    Get a suggested edit with word-level diffs against the original
+// @access  Private (Proposer or reviewer)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const suggestion = await SuggestedEdit.findById(req.params.id)
+      .populate('proposedBy', 'username avatar reputation')
+      .populate('reviewedBy', 'username')
+      .populate('question', 'title')
+      .populate('tag', 'name');
+
+    if (!suggestion) {
+      return suggestionNotFound(res);
+    }
+
+    const isProposer = suggestion.proposedBy._id.equals(req.user._id);
+    if (!isProposer && !hasPrivilege(req.user, EDIT_PRIVILEGES[suggestion.targetType])) {
+      return sendPrivilegeRequired(res, EDIT_PRIVILEGES[suggestion.targetType], req.user);
+    }
+
+    const original = suggestion.original.toObject();
+    const proposed = suggestion.proposed.toObject();
+    const diff = {};
+    Object.keys(original).forEach(field => {
+      diff[field] = field === 'tags'
+        ? diffTags(original.tags, proposed.tags)
+        : diffWords(original[field], proposed[field]);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...suggestion.toJSON(),
+        diff
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suggested edit error:', error);
+    if (error.name === 'CastError') {
+      return suggestionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggested edit'
+    });
+  }
+});
+
+// @route   POST /api/suggested-edits/:id/approve
+// @desc    Approve a suggested edit and apply it
+// @access  Private (users who can make the edit directly)
+router.post('/:id/approve', authenticate, rejectSuspended, reviewReasonValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadForReview(req, res);
+    if (!loaded) return;
+    const { suggestion, target } = loaded;
+
+    // Applying it now would silently undo the edits made since
+    if (!sameSnapshot(snapshotTarget(suggestion.targetType, target), suggestion.original)) {
+      return res.status(409).json({
+        success: false,
+        message: `The ${suggestion.targetType} was edited after this suggestion was made. Reject it so a new edit can be suggested.`
+      });
+    }
+
+    // Tags deleted since the suggestion was made would be created again, which both the
+    // reviewer and the proposer need the create-tags privilege for
+    if (suggestion.targetType === 'question') {
+      const newTags = await findNewTags(suggestion.proposed.tags || []);
+      if (newTags.length > 0) {
+        if (!hasPrivilege(req.user, 'create-tags')) {
+          return sendPrivilegeRequired(res, 'create-tags', req.user, { newTags });
+        }
+
+        const proposer = await User.findById(suggestion.proposedBy).select('reputation role');
+        if (!hasPrivilege(proposer, 'create-tags')) {
+          return res.status(403).json({
+            success: false,
+            message: 'This edit would create tags its proposer cannot create. Reject it so a new edit can be suggested.',
+            privilege: 'create-tags',
+            newTags
+          });
+        }
+      }
+    }
+
+    const reviewed = await approveSuggestedEdit(suggestion, target, req.user, req.body.reason || null);
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This suggested edit was already reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suggested edit approved and applied',
+      data: suggestion
+    });
+
+  } catch (error) {
+    console.error('Approve suggested edit error:', error);
+    if (error.name === 'CastError') {
+      return suggestionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving suggested edit'
+    });
+  }
+});
+
+// @route   POST /api/suggested-edits/:id/reject
+// @desc    Reject a suggested edit with a reason
+// @access  Private (users who can make the edit directly)
+router.post('/:id/reject', authenticate, rejectSuspended, reviewReasonValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadForReview(req, res);
+    if (!loaded) return;
+    const { suggestion, target } = loaded;
+
+    const reviewed = await rejectSuggestedEdit(suggestion, target, req.user, req.body.reason);
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This suggested edit was already reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suggested edit rejected',
+      data: suggestion
+    });
+
+  } catch (error) {
+    console.error('Reject suggested edit error:', error);
+    if (error.name === 'CastError') {
+      return suggestionNotFound(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting suggested edit'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,10 @@ const {
   authenticate, 
   optionalAuth, 
   requireModerator,
+  requirePrivilege,
   updateLastActive
 } = require('../middleware/auth');
+const { editTagWiki } = require('../services/postEditing');
 
 const router = express.Router();
 
@@ -362,8 +364,8 @@ router.get('/:name/questions', [
 
 // @route   POST /api/tags
 // @desc    Create a new tag
-// @access  Private (Moderator+)
-router.post('/', authenticate, requireModerator, createTagValidation, async (req, res) => {
+// @access  Private (create-tags privilege)
+router.post('/', authenticate, requirePrivilege('create-tags'), createTagValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -450,12 +452,7 @@ router.put('/:id', authenticate, requireModerator, updateTagValidation, async (r
 
     // Update wiki if provided
     if (req.body.wiki) {
-      updateData.wiki = {
-        ...tag.wiki,
-        ...req.body.wiki,
-        lastEditedBy: req.user._id,
-        lastEditedAt: new Date()
-      };
+      await editTagWiki(tag, req.body.wiki, req.user._id);
     }
 
     const updatedTag = await Tag.findByIdAndUpdate(
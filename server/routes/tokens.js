@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Maximum number of active tokens per user
+const MAX_TOKENS_PER_USER = 20;
+
+// Validation rules
+const scopesValidation = (optional = false) => {
+  const chain = body('scopes');
+  return (optional ? chain.optional() : chain)
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .custom((scopes) => {
+      if (!scopes.every(scope => PersonalAccessToken.TOKEN_SCOPES.includes(scope))) {
+        throw new Error(`Scopes must be any of: ${PersonalAccessToken.TOKEN_SCOPES.join(', ')}`);
+      }
+      return true;
+    });
+};
+
+const createTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  scopesValidation(),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+];
+
+const updateTokenValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  scopesValidation(true)
+];
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private (session only)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user._id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching access tokens'
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the raw token is only shown once)
+// @access  Private (session only)
+router.post('/', authenticate, createTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Expired tokens no longer count towards the limit
+    const activeCount = await PersonalAccessToken.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens`
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { token, accessToken } = await PersonalAccessToken.generate({
+      user: req.user._id,
+      name,
+      scopes,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      data: {
+        ...accessToken.toJSON(),
+        token
+      }
+    });
+
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating access token'
+    });
+  }
+});
+
+// @route   PUT /api/auth/tokens/:id
+// @desc    Rename a token or change its scopes
+// @access  Private (session only)
+router.put('/:id', authenticate, updateTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const accessToken = await PersonalAccessToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    const { name, scopes } = req.body;
+    if (name !== undefined) accessToken.name = name;
+    if (scopes !== undefined) accessToken.scopes = [...new Set(scopes)];
+    await accessToken.save();
+
+    res.json({
+      success: true,
+      message: 'Access token updated successfully',
+      data: accessToken
+    });
+
+  } catch (error) {
+    console.error('Update token error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating access token'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private (session only)
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking access token'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,808 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const ReputationEvent = require('../models/ReputationEvent');
+const { LEADERBOARD_PERIODS, getLeaderboard } = require('../services/leaderboard');
+const { AVATAR_SIZES, createAvatarVariants, removeAvatarFiles } = require('../services/avatar');
+const { detectImageTypeFromFile } = require('../utils/imageType');
+const { upload, handleUploadError, processUpload, deleteFile } = require('../middleware/upload');
+const {
+  requireScope,
+  authenticate,
+  optionalAuth,
+  updateLastActive
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Verify an uploaded avatar by its content and replace it with square crops,
+// which processUpload then stores locally or on Cloudinary
+const prepareAvatar = async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'An image file is required'
+    });
+  }
+
+  const original = req.file;
+
+  try {
+    const imageType = await detectImageTypeFromFile(original.path);
+
+    if (!imageType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar must be a JPEG, PNG, GIF or WebP image'
+      });
+    }
+
+    req.files = await createAvatarVariants(original, req.user._id);
+    req.file = undefined;
+    next();
+  } catch (error) {
+    console.error('Avatar processing error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Could not process this image'
+    });
+  } finally {
+    deleteFile(original.path);
+  }
+};
+
+// Validation rules
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+const updatePreferencesValidation = [
+  body('emailNotifications')
+    .optional()
+    .isBoolean()
+    .withMessage('emailNotifications must be a boolean'),
+  body('publicProfile')
+    .optional()
+    .isBoolean()
+    .withMessage('publicProfile must be a boolean')
+];
+
+// Helper function to build the public view of a profile
+const formatPublicProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  avatar: user.avatar,
+  avatarVariants: user.avatarVariants,
+  bio: user.bio,
+  location: user.location,
+  website: user.website,
+  role: user.role,
+  reputation: user.reputation,
+  badges: user.badges,
+  stats: user.stats,
+  lastActive: user.lastActive,
+  createdAt: user.createdAt
+});
+
+// Helper function to build a directory card
+const formatUserCard = (user) => ({
+  id: user._id,
+  username: user.username,
+  avatar: user.avatar,
+  reputation: user.reputation,
+  badges: user.badges,
+  stats: user.stats,
+  lastActive: user.lastActive,
+  createdAt: user.createdAt
+});
+
+// Users that may appear in the directory and on leaderboards
+const listedUsersFilter = () => ({
+  'preferences.publicProfile': true,
+  accountStatus: 'active',
+  isGhost: { $ne: true }
+});
+
+// Helper function to build the owner's view of their profile
+const formatOwnProfile = (user) => ({
+  ...formatPublicProfile(user),
+  email: user.email,
+  isVerified: user.isVerified,
+  preferences: user.preferences,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+  deletionScheduledFor: user.deletionScheduledFor
+});
+
+// Private profiles are only visible to their owner and to moderators
+const canViewProfile = (user, viewer) => {
+  if (user.preferences.publicProfile) {
+    return true;
+  }
+  return !!viewer && (viewer._id.equals(user._id) || ['moderator', 'admin'].includes(viewer.role));
+};
+
+// Load the profile named in the URL, answering 404/403 when it cannot be shown
+const loadVisibleUser = async (req, res) => {
+  const user = await User.findOne({ username: req.params.username });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!canViewProfile(user, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'This profile is private'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Helper function to format a reputation event for a user's history.
+// Votes are anonymous, so only accepts and bounties name who caused them.
+const formatReputationEvent = (event) => {
+  const source = event.reason === 'reversal' && event.reverses ? event.reverses.reason : event.reason;
+
+  return {
+    id: event._id,
+    points: event.points,
+    reason: event.reason,
+    reverses: event.reason === 'reversal' ? source : null,
+    actor: ['accept', 'bounty'].includes(source) && event.actor ? event.actor.username : null,
+    question: event.question ? { id: event.question._id, title: event.question.title } : null,
+    answer: event.answer,
+    createdAt: event.createdAt
+  };
+};
+
+// Helper function to summarize a user's reputation and activity
+const buildSummary = async (user) => {
+  const [acceptedAnswers, questionVotes, answerVotes] = await Promise.all([
+    Answer.countDocuments({ author: user._id, isAccepted: true, isDeleted: false }),
+    Question.aggregate([
+      { $match: { author: user._id } },
+      { $group: { _id: null, total: { $sum: '$votes' }, views: { $sum: '$views' } } }
+    ]),
+    Answer.aggregate([
+      { $match: { author: user._id, isDeleted: false } },
+      { $group: { _id: null, total: { $sum: '$votes' } } }
+    ])
+  ]);
+
+  return {
+    reputation: user.reputation,
+    stats: user.stats,
+    netVotes: user.stats.upvotesReceived - user.stats.downvotesReceived,
+    acceptedAnswers,
+    questionScore: questionVotes.length ? questionVotes[0].total : 0,
+    answerScore: answerVotes.length ? answerVotes[0].total : 0,
+    peopleReached: questionVotes.length ? questionVotes[0].views : 0,
+    badgeCount: user.badges.length,
+    memberSince: user.createdAt,
+    lastActive: user.lastActive
+  };
+};
+
+// @route   GET /api/users
+// @desc    Browse the user directory with username prefix search
+// @access  Public
+router.get('/', [
+  ...paginationValidation,
+  query('search').optional().isString().isLength({ max: 30 }).withMessage('Search must be at most 30 characters'),
+  query('sort').optional().isIn(['reputation', 'newest', 'answers', 'active']).withMessage('Invalid sort option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, search, sort = 'reputation' } = req.query;
+
+    const filter = listedUsersFilter();
+    if (search) {
+      const prefix = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.username = { ...filter.username, $regex: `^${prefix}`, $options: 'i' };
+    }
+
+    const sortOption = {
+      reputation: { reputation: -1, createdAt: 1 },
+      newest: { createdAt: -1 },
+      answers: { 'stats.answersGiven': -1, reputation: -1 },
+      active: { lastActive: -1 }
+    }[sort];
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('username avatar reputation badges stats lastActive createdAt')
+        .sort(sortOption)
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: users.map(formatUserCard),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/leaderboard
+// @desc    Rank users by reputation earned this week, month or year, optionally within a tag
+// @access  Public
+router.get('/leaderboard', [
+  ...paginationValidation,
+  query('period').optional().isIn(LEADERBOARD_PERIODS).withMessage(`Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`),
+  query('tag').optional().isString().isLength({ max: 30 }).withMessage('Tag must be at most 30 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { period = 'week', tag } = req.query;
+
+    const ranking = await getLeaderboard({ period, tag });
+
+    const users = await User.find({
+      ...listedUsersFilter(),
+      _id: { $in: ranking.map(entry => entry.userId) }
+    }).select('username avatar reputation badges stats lastActive createdAt');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const listed = ranking.filter(entry => usersById.has(entry.userId));
+    const total = listed.length;
+
+    res.json({
+      success: true,
+      data: listed.slice((page - 1) * limit, page * limit).map((entry, index) => ({
+        rank: (page - 1) * limit + index + 1,
+        reputationEarned: entry.points,
+        user: formatUserCard(usersById.get(entry.userId))
+      })),
+      period,
+      tag: tag ? tag.toLowerCase() : null,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leaderboard'
+    });
+  }
+});
+
+// @route   GET /api/users/me
+// @desc    Get the current user's full profile
+// @access  Private
+router.get('/me', requireScope('read'), authenticate, updateLastActive, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...formatOwnProfile(req.user),
+        summary: await buildSummary(req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get own profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/preferences
+// @desc    Update the current user's preferences
+// @access  Private
+router.put('/me/preferences', authenticate, updatePreferencesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const allowedPreferences = ['emailNotifications', 'publicProfile'];
+    const updates = {};
+
+    allowedPreferences.forEach(preference => {
+      if (req.body[preference] !== undefined) {
+        updates[`preferences.${preference}`] = req.body[preference] === true || req.body[preference] === 'true';
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: user.preferences
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating preferences'
+    });
+  }
+});
+
+// @route   POST /api/users/me/avatar
+// @desc    Upload a new avatar (multipart field "avatar")
+// @access  Private
+router.post('/me/avatar', authenticate, upload.avatar, handleUploadError, prepareAvatar, processUpload, async (req, res) => {
+  try {
+    const avatarVariants = req.filesInfo.map((fileInfo, index) => ({
+      size: AVATAR_SIZES[index],
+      url: fileInfo.cloudinaryUrl || fileInfo.url,
+      publicId: fileInfo.publicId || null
+    }));
+
+    const previousVariants = req.user.avatarVariants || [];
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        avatar: avatarVariants[0].url,
+        avatarVariants
+      },
+      { new: true }
+    );
+
+    await removeAvatarFiles(previousVariants);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        avatar: user.avatar,
+        avatarVariants: user.avatarVariants
+      }
+    });
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the current avatar
+// @access  Private
+router.delete('/me/avatar', authenticate, async (req, res) => {
+  try {
+    const previousVariants = req.user.avatarVariants || [];
+
+    await User.findByIdAndUpdate(req.user._id, {
+      avatar: null,
+      avatarVariants: []
+    });
+
+    await removeAvatarFiles(previousVariants);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Avatar removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing avatar'
+    });
+  }
+});
+
+// @route   GET /api/users/:username
+// @desc    Get a user's public profile with reputation and activity summary
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username', optionalAuth, async (req, res) => {
+  try {
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatPublicProfile(user),
+        summary: await buildSummary(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile'
+    });
+  }
+});
+
+// @route   GET /api/users/:username/questions
+// @desc    Get the questions a user asked
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username/questions', [
+  ...paginationValidation,
+  query('sort').optional().isIn(['newest', 'votes', 'views']).withMessage('Invalid sort option')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    const sortOption = {
+      newest: { createdAt: -1 },
+      votes: { votes: -1, createdAt: -1 },
+      views: { views: -1, createdAt: -1 }
+    }[sort];
+
+    const [questions, total] = await Promise.all([
+      Question.find({ author: user._id })
+        .select('title tags votes views answers isAnswered isClosed acceptedAnswer createdAt lastActivity')
+        .sort(sortOption)
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      Question.countDocuments({ author: user._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: questions.map(({ answers, ...question }) => ({
+        ...question,
+        answerCount: answers ? answers.length : 0
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalQuestions: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching questions'
+    });
+  }
+});
+
+// @route   GET /api/users/:username/answers
+// @desc    Get the answers a user posted
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username/answers', [
+  ...paginationValidation,
+  query('sort').optional().isIn(['newest', 'votes']).withMessage('Invalid sort option')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    const filter = { author: user._id, isDeleted: false };
+    const sortOption = sort === 'votes'
+      ? { isAccepted: -1, votes: -1, createdAt: -1 }
+      : { createdAt: -1 };
+
+    const [answers, total] = await Promise.all([
+      Answer.find(filter)
+        .select('question votes isAccepted createdAt updatedAt')
+        .populate('question', 'title tags')
+        .sort(sortOption)
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      Answer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: answers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalAnswers: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching answers'
+    });
+  }
+});
+
+// @route   GET /api/users/:username/tags
+// @desc    Get the tags a user is most active in, by posts and score
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username/tags', paginationValidation, optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Questions count under their own tags, answers under the tags of the question they answer
+    const [questionTags, answerTags] = await Promise.all([
+      Question.aggregate([
+        { $match: { author: user._id } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', questions: { $sum: 1 }, score: { $sum: '$votes' } } }
+      ]),
+      Answer.aggregate([
+        { $match: { author: user._id, isDeleted: false } },
+        { $lookup: { from: 'questions', localField: 'question', foreignField: '_id', as: 'question' } },
+        { $unwind: '$question' },
+        { $unwind: '$question.tags' },
+        {
+          $group: {
+            _id: '$question.tags',
+            answers: { $sum: 1 },
+            acceptedAnswers: { $sum: { $cond: ['$isAccepted', 1, 0] } },
+            score: { $sum: '$votes' }
+          }
+        }
+      ])
+    ]);
+
+    const tags = new Map();
+    const entryFor = (name) => {
+      if (!tags.has(name)) {
+        tags.set(name, { name, questions: 0, answers: 0, acceptedAnswers: 0, score: 0 });
+      }
+      return tags.get(name);
+    };
+
+    questionTags.forEach(({ _id, questions, score }) => {
+      const entry = entryFor(_id);
+      entry.questions = questions;
+      entry.score += score;
+    });
+
+    answerTags.forEach(({ _id, answers, acceptedAnswers, score }) => {
+      const entry = entryFor(_id);
+      entry.answers = answers;
+      entry.acceptedAnswers = acceptedAnswers;
+      entry.score += score;
+    });
+
+    const ranked = [...tags.values()].sort((a, b) =>
+      b.score - a.score || (b.questions + b.answers) - (a.questions + a.answers) || a.name.localeCompare(b.name)
+    );
+    const total = ranked.length;
+
+    res.json({
+      success: true,
+      data: ranked.slice((page - 1) * limit, page * limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTags: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+
+// @route   GET /api/users/:username/reputation
+// @desc    Get a user's reputation per day for a graph
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username/reputation', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    const days = parseInt(req.query.days) || 90;
+    const today = new Date();
+    const since = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1)));
+
+    const daily = await ReputationEvent.dailyForUser(user._id, since);
+
+    const byDate = new Map(daily.map(day => [day.date, day]));
+    const earned = daily.reduce((sum, day) => sum + day.points, 0);
+
+    // Every day of the range, with the reputation the user had at its end
+    let reputation = user.reputation - earned;
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since.getTime() + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const { points = 0, events = 0 } = byDate.get(date) || {};
+      reputation += points;
+      history.push({ date, points, events, reputation: Math.max(1, reputation) });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reputation: user.reputation,
+        earned,
+        days: history
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reputation history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reputation history'
+    });
+  }
+});
+
+// @route   GET /api/users/:username/reputation/events
+// @desc    Get the individual reputation changes of a user, newest first
+// @access  Public (private profiles: owner and moderators only)
+router.get('/:username/reputation/events', [
+  ...paginationValidation,
+  query('reason').optional().isIn(ReputationEvent.REPUTATION_REASONS).withMessage('Invalid reason')
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadVisibleUser(req, res);
+    if (!user) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { user: user._id };
+    if (req.query.reason) {
+      filter.reason = req.query.reason;
+    }
+
+    const [events, total] = await Promise.all([
+      ReputationEvent.find(filter)
+        .populate('actor', 'username')
+        .populate('question', 'title')
+        .populate('reverses', 'reason')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReputationEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: events.map(formatReputationEvent),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEvents: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reputation events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reputation events'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// Minimal OpenID Connect issuer for trying the sign-in flow locally.
+// It approves every authorization request as the configured user.
+//
+//   MOCK_OIDC_PORT=4010 MOCK_OIDC_EMAIL=dev@example.com npm run mock:oidc
+//   OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=stackit npm run dev
+const crypto = require('crypto');
+const express = require('express');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4010;
+const issuer = `http://localhost:${port}`;
+
+const user = {
+  sub: process.env.MOCK_OIDC_SUBJECT || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'dev@example.com',
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+  name: process.env.MOCK_OIDC_NAME || 'Mock Developer',
+  preferred_username: process.env.MOCK_OIDC_USERNAME || 'mock.developer'
+};
+
+const codes = new Map();
+const accessTokens = new Set();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, code_challenge: codeChallenge } = req.query;
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, { redirectUri, codeChallenge });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  if (!pending || pending.redirectUri !== redirectUri || pending.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.add(accessToken);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!accessTokens.has(token)) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(user);
+});
+
+app.listen(port, () => {
+  console.log(`🔐 Mock OIDC issuer running at ${issuer} (signing in as ${user.email})`);
+});
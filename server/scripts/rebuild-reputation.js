@@ -0,0 +1,27 @@
+// Recalculate every user's reputation from the reputation ledger.
+// Pass --backfill on installs that have votes from before the ledger existed.
+//
+//   npm run reputation:rebuild -- --backfill
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { rebuildReputation } = require('../services/reputation');
+
+const run = async () => {
+  await connectDB();
+
+  const backfill = process.argv.includes('--backfill');
+  const result = await rebuildReputation({ backfill });
+
+  if (backfill) {
+    console.log(`Backfilled ${result.backfilled} reputation events`);
+  }
+  console.log(`Recalculated ${result.usersWithEvents} users from their events, reset ${result.usersReset} users without events`);
+};
+
+run()
+  .catch(error => {
+    console.error('Reputation rebuild failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -3,23 +3,41 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const path = require('path');
 require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oauthRoutes = require('./routes/oauth');
+const tokenRoutes = require('./routes/tokens');
+const sessionRoutes = require('./routes/sessions');
+const exportRoutes = require('./routes/exports');
 const questionRoutes = require('./routes/questions');
 const answerRoutes = require('./routes/answers');
 const tagRoutes = require('./routes/tags');
 const notificationRoutes = require('./routes/notifications');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const badgeRoutes = require('./routes/badges');
+const privilegeRoutes = require('./routes/privileges');
+const moderationRoutes = require('./routes/moderation');
+const suggestedEditRoutes = require('./routes/suggestedEdits');
 
 // Import database connection
 const connectDB = require('./config/db');
 
+// Import background jobs
+const { startJobs } = require('./jobs');
+const { registerBadgeListeners } = require('./services/badgeEngine');
+
 const app = express();
 
 // Connect to MongoDB
 connectDB();
 
+// Award badges as questions, answers and votes come in
+registerBadgeListeners();
+
 // Security middleware
 app.use(helmet());
 
@@ -41,12 +59,25 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Locally stored avatars (other upload folders, such as data exports, stay private)
+app.use('/uploads/avatar', express.static(path.join(__dirname, 'uploads/avatar')));
+
 // API routes
+app.use('/api/auth/oauth', oauthRoutes);
+app.use('/api/auth/tokens', tokenRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/export', exportRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/answers', answerRoutes);
 app.use('/api/tags', tagRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/privileges', privilegeRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/suggested-edits', suggestedEditRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,7 +98,12 @@ app.get('/', (req, res) => {
       questions: '/api/questions',
       answers: '/api/answers',
       tags: '/api/tags',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      users: '/api/users',
+      admin: '/api/admin',
+      badges: '/api/badges',
+      privileges: '/api/privileges',
+      moderation: '/api/moderation'
     }
   });
 });
@@ -123,4 +159,5 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Client URL: ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
+  startJobs();
 });
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Tag = require('../models/Tag');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const ExportJob = require('../models/ExportJob');
+const LoginHistory = require('../models/LoginHistory');
+const ReputationEvent = require('../models/ReputationEvent');
+const Suspension = require('../models/Suspension');
+const QuestionRevision = require('../models/QuestionRevision');
+const SuggestedEdit = require('../models/SuggestedEdit');
+const CloseVote = require('../models/CloseVote');
+const { removeExportFile } = require('./dataExport');
+const { removeAvatarFiles } = require('./avatar');
+const { currentVote, recordVoteChange } = require('./reputation');
+
+// Shared account that inherits the content of deleted users
+const GHOST_EMAIL = 'deleted-user@stackit.invalid';
+
+// Find or create the ghost account. It is identified by its flag, never by its username.
+const getGhostUser = async () => {
+  const existing = await User.findOne({ isGhost: true });
+  if (existing) {
+    return existing;
+  }
+
+  // A ghost created before the flag existed: nobody else can have verified the reserved email
+  const legacy = await User.findOneAndUpdate(
+    { username: User.GHOST_USERNAME, email: GHOST_EMAIL, isVerified: true },
+    { isGhost: true },
+    { new: true }
+  );
+  if (legacy) {
+    return legacy;
+  }
+
+  // The username may have been registered before it was reserved
+  const username = await User.exists({ username: User.GHOST_USERNAME })
+    ? `${User.GHOST_USERNAME}_${crypto.randomBytes(3).toString('hex')}`
+    : User.GHOST_USERNAME;
+
+  // Random password nobody knows; the account can never be signed into. An upsert skips
+  // the save hook, so the password is hashed here.
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  // Concurrent deletions all upsert the same ghost; the unique isGhost index keeps it single
+  try {
+    return await User.findOneAndUpdate(
+      { isGhost: true },
+      {
+        $setOnInsert: {
+          username,
+          email: GHOST_EMAIL,
+          password,
+          isVerified: true,
+          bio: 'This account holds content from users who deleted their accounts.',
+          preferences: {
+            emailNotifications: false,
+            publicProfile: false
+          }
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      const ghost = await User.findOne({ isGhost: true });
+      if (ghost) {
+        return ghost;
+      }
+    }
+    throw error;
+  }
+};
+
+// Remove every vote a user cast on one kind of content and reverse its reputation effect
+const removeVotesCastBy = async (Model, contentType, userId) => {
+  const documents = await Model.find({
+    $or: [{ 'upvotes.user': userId }, { 'downvotes.user': userId }]
+  });
+
+  for (const document of documents) {
+    const previousVote = currentVote(document, userId);
+
+    document.upvotes = document.upvotes.filter(vote => !vote.user.equals(userId));
+    document.downvotes = document.downvotes.filter(vote => !vote.user.equals(userId));
+    document.votes = document.upvotes.length - document.downvotes.length;
+    await document.save();
+
+    await recordVoteChange({
+      contentType,
+      post: document,
+      author: document.author,
+      voter: userId,
+      previousVote,
+      newVote: null
+    });
+  }
+
+  return documents.length;
+};
+
+// Permanently delete an account: authored content moves to the ghost account,
+// votes are withdrawn, and personal records are purged
+const deleteAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const ghost = await getGhostUser();
+  if (ghost._id.equals(user._id)) {
+    throw new Error('The deleted user account cannot be deleted');
+  }
+
+  // Votes first, while the user's own content still has them as author
+  // (one after the other, since both can adjust the same author's reputation)
+  const questionVotes = await removeVotesCastBy(Question, 'question', user._id);
+  const answerVotes = await removeVotesCastBy(Answer, 'answer', user._id);
+
+  // Reassign authored content and other references
+  await Promise.all([
+    Question.updateMany({ author: user._id }, { author: ghost._id }),
+    Question.updateMany({ lastActivityBy: user._id }, { lastActivityBy: ghost._id }),
+    Question.updateMany({ closedBy: user._id }, { closedBy: ghost._id }),
+    Question.updateMany({ 'bounty.offeredBy': user._id }, { 'bounty.offeredBy': ghost._id }),
+    Question.updateMany({ 'viewedBy.user': user._id }, { $pull: { viewedBy: { user: user._id } } }),
+    QuestionRevision.updateMany({ editor: user._id }, { editor: ghost._id }),
+    QuestionRevision.updateMany({ approvedBy: user._id }, { approvedBy: ghost._id }),
+    SuggestedEdit.updateMany({ proposedBy: user._id }, { proposedBy: ghost._id }),
+    SuggestedEdit.updateMany({ reviewedBy: user._id }, { reviewedBy: ghost._id }),
+    Answer.updateMany({ author: user._id }, { author: ghost._id }),
+    Answer.updateMany({ deletedBy: user._id }, { deletedBy: ghost._id }),
+    Answer.updateMany(
+      { 'comments.author': user._id },
+      { $set: { 'comments.$[comment].author': ghost._id } },
+      { arrayFilters: [{ 'comment.author': user._id }] }
+    ),
+    Answer.updateMany(
+      { 'editHistory.editedBy': user._id },
+      { $set: { 'editHistory.$[edit].editedBy': ghost._id } },
+      { arrayFilters: [{ 'edit.editedBy': user._id }] }
+    ),
+    Tag.updateMany({ createdBy: user._id }, { createdBy: ghost._id }),
+    Tag.updateMany({ 'wiki.lastEditedBy': user._id }, { 'wiki.lastEditedBy': ghost._id }),
+    Tag.updateMany({ moderators: user._id }, { $pull: { moderators: user._id } }),
+    ReputationEvent.updateMany({ actor: user._id }, { actor: ghost._id }),
+    Suspension.updateMany({ issuedBy: user._id }, { issuedBy: ghost._id }),
+    Suspension.updateMany({ liftedBy: user._id }, { liftedBy: ghost._id })
+  ]);
+
+  // The ghost account shows the combined activity of deleted users
+  await User.findByIdAndUpdate(ghost._id, {
+    $inc: {
+      'stats.questionsAsked': user.stats.questionsAsked,
+      'stats.answersGiven': user.stats.answersGiven
+    }
+  });
+
+  // Purge personal records, including uploaded avatars and data export archives
+  await removeAvatarFiles(user.avatarVariants);
+
+  const exportJobs = await ExportJob.find({ user: user._id });
+  for (const job of exportJobs) {
+    await removeExportFile(job).catch(error => {
+      console.error(`Failed to remove data export ${job._id}:`, error);
+    });
+  }
+
+  await Promise.all([
+    ExportJob.deleteMany({ user: user._id }),
+    Notification.deleteMany({
+      $or: [{ recipient: user._id }, { sender: user._id }, { relatedUser: user._id }]
+    }),
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    PersonalAccessToken.deleteMany({ user: user._id }),
+    LoginHistory.deleteMany({ user: user._id }),
+    ReputationEvent.deleteMany({ user: user._id }),
+    Suspension.deleteMany({ user: user._id }),
+    CloseVote.deleteMany({ voter: user._id })
+  ]);
+
+  await User.findByIdAndDelete(user._id);
+
+  return {
+    ghostUserId: ghost._id,
+    votesRemoved: questionVotes + answerVotes
+  };
+};
+
+// Delete every account whose grace period has ended
+const processScheduledDeletions = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: new Date() }
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await deleteAccount(_id);
+    } catch (error) {
+      console.error(`Scheduled deletion failed for user ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  getGhostUser,
+  deleteAccount,
+  processScheduledDeletions
+};
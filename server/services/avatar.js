@@ -0,0 +1,57 @@
+const path = require('path');
+const sharp = require('sharp');
+const { uploadsDir, deleteFile, deleteFromCloudinary } = require('../middleware/upload');
+
+// Square sizes produced for every avatar, largest first
+const AVATAR_SIZES = [256, 128, 64];
+
+const avatarDir = path.join(uploadsDir, 'avatar');
+
+// Crop an uploaded image into square WebP variants next to the original.
+// Re-encoding drops EXIF and other metadata; rotate() applies the EXIF orientation first.
+// Returns multer-style file objects so processUpload can store them.
+const createAvatarVariants = async (file, userId) => {
+  const baseName = `${userId}-${Date.now()}`;
+  const source = sharp(file.path, { animated: false }).rotate();
+
+  return Promise.all(AVATAR_SIZES.map(async (size) => {
+    const filename = `${baseName}-${size}.webp`;
+    const outputPath = path.join(avatarDir, filename);
+
+    const { size: bytes } = await source
+      .clone()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toFile(outputPath);
+
+    return {
+      fieldname: 'avatar',
+      originalname: filename,
+      filename,
+      mimetype: 'image/webp',
+      path: outputPath,
+      size: bytes
+    };
+  }));
+};
+
+// Delete the stored files of a user's avatar variants (local or Cloudinary)
+const removeAvatarFiles = async (variants = []) => {
+  for (const variant of variants) {
+    try {
+      if (variant.publicId) {
+        await deleteFromCloudinary(variant.publicId);
+      } else if (variant.url && variant.url.startsWith('/uploads/avatar/')) {
+        deleteFile(path.join(avatarDir, path.basename(variant.url)));
+      }
+    } catch (error) {
+      console.error('Error deleting avatar file:', error);
+    }
+  }
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  createAvatarVariants,
+  removeAvatarFiles
+};
@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Notification = require('../models/Notification');
+const { BADGES } = require('../config/badges');
+const { DOMAIN_EVENTS, onDomainEvent } = require('./domainEvents');
+
+const maxScore = async (Model, filter) => {
+  const best = await Model.findOne(filter).sort({ votes: -1 }).select('votes').lean();
+  return best ? best.votes : 0;
+};
+
+// Values the badge rules compare against their thresholds.
+// Per-tag metrics return a Map of tag -> value instead of a number.
+const METRICS = {
+  questionsAsked: (user) => Question.countDocuments({ author: user._id }),
+  answersGiven: (user) => Answer.countDocuments({ author: user._id, isDeleted: false }),
+  acceptedAnswers: (user) => Answer.countDocuments({ author: user._id, isAccepted: true, isDeleted: false }),
+  bestQuestionScore: (user) => maxScore(Question, { author: user._id }),
+  bestAnswerScore: (user) => maxScore(Answer, { author: user._id, isDeleted: false }),
+  longestVisitStreak: (user) => (user.visitStreak ? user.visitStreak.longest : 0),
+  answersPerTag: async (user) => {
+    const counts = await Answer.aggregate([
+      { $match: { author: user._id, isDeleted: false } },
+      { $lookup: { from: 'questions', localField: 'question', foreignField: '_id', as: 'question' } },
+      { $unwind: '$question' },
+      { $unwind: '$question.tags' },
+      { $group: { _id: '$question.tags', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+  }
+};
+
+const hasBadge = (user, key, tag = null) =>
+  user.badges.some(badge => badge.key === key && (badge.tag || null) === tag);
+
+// Give a user a badge unless they already hold it; returns true when it was newly awarded
+const awardBadge = async (user, rule, tag = null) => {
+  const badge = {
+    key: rule.key,
+    name: rule.name,
+    description: tag ? `${rule.description}: ${tag}` : rule.description,
+    tier: rule.tier,
+    tag,
+    earnedAt: new Date()
+  };
+
+  // The filter makes concurrent evaluations award each badge only once
+  const result = await User.updateOne(
+    { _id: user._id, badges: { $not: { $elemMatch: { key: rule.key, tag } } } },
+    { $push: { badges: badge } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await Notification.notifyBadge(user, badge);
+  return true;
+};
+
+// Check a user against the badge rules (all of them, or those triggered by one domain event)
+// and award whatever they newly qualify for. Returns the awarded badges as { key, tag }.
+const evaluateBadges = async (userId, event = null) => {
+  const rules = event ? BADGES.filter(rule => rule.events.includes(event)) : BADGES;
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const user = await User.findById(userId).select('badges visitStreak username accountStatus isGhost');
+  if (!user || user.accountStatus === 'suspended' || user.isGhost) {
+    return [];
+  }
+
+  // Several rules can share a metric; compute each one at most once
+  const values = new Map();
+  const metric = (name) => {
+    if (!values.has(name)) {
+      values.set(name, Promise.resolve(METRICS[name](user)));
+    }
+    return values.get(name);
+  };
+
+  const awarded = [];
+  for (const rule of rules) {
+    if (!rule.perTag && hasBadge(user, rule.key)) {
+      continue;
+    }
+
+    const value = await metric(rule.metric);
+
+    if (rule.perTag) {
+      for (const [tag, count] of value) {
+        if (count >= rule.threshold && !hasBadge(user, rule.key, tag) && await awardBadge(user, rule, tag)) {
+          awarded.push({ key: rule.key, tag });
+        }
+      }
+    } else if (value >= rule.threshold && await awardBadge(user, rule)) {
+      awarded.push({ key: rule.key, tag: null });
+    }
+  }
+
+  return awarded;
+};
+
+// Nightly pass over every active account, catching anything the event triggers missed
+const evaluateAllBadges = async () => {
+  const users = User.find({ accountStatus: { $ne: 'suspended' } }).select('_id').lean().cursor();
+
+  let awarded = 0;
+  for await (const { _id } of users) {
+    try {
+      awarded += (await evaluateBadges(_id)).length;
+    } catch (error) {
+      console.error(`Badge evaluation failed for user ${_id}:`, error);
+    }
+  }
+
+  return awarded;
+};
+
+// Re-check the rules of each domain event for the user it is about
+const registerBadgeListeners = () => {
+  Object.values(DOMAIN_EVENTS).forEach(event => {
+    if (BADGES.some(rule => rule.events.includes(event))) {
+      onDomainEvent(event, ({ userId }) => evaluateBadges(userId, event));
+    }
+  });
+};
+
+module.exports = {
+  evaluateBadges,
+  evaluateAllBadges,
+  registerBadgeListeners
+};
@@ -0,0 +1,251 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+const Notification = require('../models/Notification');
+const { recordEvent, reverseEvent } = require('./reputation');
+
+const MIN_BOUNTY = 50;
+const MAX_BOUNTY = 500;
+const BOUNTY_DURATION_DAYS = 7;
+
+// When a bounty expires unawarded, half of it goes to the highest-voted answer posted
+// during the bounty with at least this score. Without one, the offerer gets it all back.
+const AUTO_AWARD_MIN_VOTES = 2;
+
+const hasOpenBounty = (question) => question.featured && question.bounty && question.bounty.amount > 0;
+
+// Clear a question's bounty in one atomic update, so a bounty is only ever settled once.
+// Returns the bounty as it was, or null if someone else settled it first.
+const claimBounty = async (questionId) => {
+  const previous = await Question.findOneAndUpdate(
+    { _id: questionId, featured: true, 'bounty.amount': { $gt: 0 } },
+    {
+      featured: false,
+      bounty: { amount: 0, offeredBy: null, expiresAt: null, startedAt: null }
+    }
+  );
+  return previous ? previous.bounty : null;
+};
+
+const notifyBounty = (recipient, question, title, message, relatedAnswer = null, sender = null) => {
+  return Notification.createNotification({
+    recipient,
+    sender,
+    type: 'bounty',
+    title,
+    message,
+    relatedQuestion: question._id,
+    relatedAnswer,
+    actionUrl: relatedAnswer ? `/question/${question._id}#answer-${relatedAnswer}` : `/question/${question._id}`
+  }).catch(error => console.error('Failed to send bounty notification:', error));
+};
+
+// Open a bounty, taking the amount from the offerer's reputation up front.
+// The caller checks the amount and that the question can take a bounty. Returns null if
+// the question got a bounty meanwhile; throws a 403-style error if the offerer cannot pay.
+const offerBounty = async (question, offerer, amount) => {
+  const now = new Date();
+  const bounty = {
+    amount,
+    offeredBy: offerer._id,
+    startedAt: now,
+    expiresAt: new Date(now.getTime() + BOUNTY_DURATION_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  const updated = await Question.findOneAndUpdate(
+    { _id: question._id, featured: { $ne: true } },
+    { featured: true, bounty },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  // Reputation never drops below 1, so only debit an offerer who can pay it all. The check
+  // and the debit are one update, so the escrow event records exactly what was taken.
+  const debit = await User.updateOne(
+    { _id: offerer._id, reputation: { $gt: amount } },
+    { $inc: { reputation: -amount } }
+  );
+  if (debit.modifiedCount === 0) {
+    await Question.updateOne(
+      { _id: question._id, 'bounty.offeredBy': offerer._id, 'bounty.startedAt': now },
+      { featured: false, bounty: { amount: 0, offeredBy: null, expiresAt: null, startedAt: null } }
+    );
+    const insufficient = new Error(`You need more than ${amount} reputation to offer this bounty`);
+    insufficient.status = 403;
+    throw insufficient;
+  }
+
+  await ReputationEvent.create({
+    user: offerer._id,
+    points: -amount,
+    reason: 'bounty',
+    actor: offerer._id,
+    question: question._id
+  });
+
+  // Let the people already involved know
+  const answerers = await Answer.find({ question: question._id, isDeleted: false }).distinct('author');
+  const recipients = [question.author, ...answerers]
+    .filter((id, index, ids) => ids.findIndex(other => other.equals(id)) === index);
+
+  for (const recipient of recipients) {
+    await notifyBounty(
+      recipient,
+      updated,
+      'Bounty Offered',
+      `${offerer.username} offered a ${amount} reputation bounty on "${updated.title}"`,
+      null,
+      offerer._id
+    );
+  }
+
+  return updated;
+};
+
+const payBounty = async (question, bounty, answer, amount) => {
+  await recordEvent({
+    user: answer.author,
+    points: amount,
+    reason: 'bounty',
+    actor: bounty.offeredBy,
+    question: question._id,
+    answer: answer._id
+  });
+
+  answer.bountyAwarded += amount;
+  await answer.save();
+};
+
+// Give the whole bounty to an answer chosen by the offerer.
+// Returns the amount awarded, or null if the bounty was already settled.
+const awardBounty = async (question, answer, offerer) => {
+  const bounty = await claimBounty(question._id);
+  if (!bounty) {
+    return null;
+  }
+
+  await payBounty(question, bounty, answer, bounty.amount);
+  await notifyBounty(
+    answer.author,
+    question,
+    'Bounty Awarded',
+    `${offerer.username} awarded you a ${bounty.amount} reputation bounty on "${question.title}"`,
+    answer._id,
+    offerer._id
+  );
+
+  return bounty.amount;
+};
+
+// Give the offerer their escrowed reputation back
+const refundEscrow = async (questionId, bounty) => {
+  const escrow = await ReputationEvent.findOne({
+    user: bounty.offeredBy,
+    reason: 'bounty',
+    question: questionId,
+    answer: null,
+    reversedBy: null
+  }).sort({ createdAt: -1 });
+
+  if (escrow) {
+    await reverseEvent(escrow);
+  }
+};
+
+// Settle a bounty whose question is going away (deleted or merged) with a full refund
+const refundBounty = async (question) => {
+  if (!hasOpenBounty(question)) {
+    return null;
+  }
+
+  const bounty = await claimBounty(question._id);
+  if (!bounty) {
+    return null;
+  }
+
+  await refundEscrow(question._id, bounty);
+  return bounty.amount;
+};
+
+// Settle one expired bounty: half to the best answer posted during it, or a refund
+const resolveExpiredBounty = async (question) => {
+  const bounty = await claimBounty(question._id);
+  if (!bounty) {
+    return null;
+  }
+
+  const answer = await Answer.findOne({
+    question: question._id,
+    isDeleted: false,
+    author: { $ne: bounty.offeredBy },
+    createdAt: { $gte: bounty.startedAt },
+    votes: { $gte: AUTO_AWARD_MIN_VOTES }
+  }).sort({ votes: -1, createdAt: 1 });
+
+  if (answer) {
+    const amount = Math.floor(bounty.amount / 2);
+    await payBounty(question, bounty, answer, amount);
+    await notifyBounty(
+      answer.author,
+      question,
+      'Bounty Awarded',
+      `Your answer on "${question.title}" was automatically awarded ${amount} reputation from an expired bounty`,
+      answer._id
+    );
+    await notifyBounty(
+      bounty.offeredBy,
+      question,
+      'Bounty Expired',
+      `Your bounty on "${question.title}" expired, so half of it went to the highest-voted new answer`,
+      answer._id
+    );
+    return { awarded: amount, answer: answer._id };
+  }
+
+  await refundEscrow(question._id, bounty);
+  await notifyBounty(
+    bounty.offeredBy,
+    question,
+    'Bounty Expired',
+    `Your bounty on "${question.title}" expired without a qualifying answer, so its ${bounty.amount} reputation was refunded`
+  );
+  return { refunded: bounty.amount };
+};
+
+// Settle every bounty past its end date
+const resolveExpiredBounties = async () => {
+  const questions = await Question.find({
+    featured: true,
+    'bounty.amount': { $gt: 0 },
+    'bounty.expiresAt': { $lte: new Date() }
+  }).select('title author bounty featured');
+
+  let awarded = 0;
+  let refunded = 0;
+  for (const question of questions) {
+    try {
+      const result = await resolveExpiredBounty(question);
+      if (result && result.awarded !== undefined) awarded += 1;
+      if (result && result.refunded !== undefined) refunded += 1;
+    } catch (error) {
+      console.error(`Failed to resolve bounty on question ${question._id}:`, error);
+    }
+  }
+
+  return { awarded, refunded };
+};
+
+module.exports = {
+  MIN_BOUNTY,
+  MAX_BOUNTY,
+  BOUNTY_DURATION_DAYS,
+  AUTO_AWARD_MIN_VOTES,
+  hasOpenBounty,
+  offerBounty,
+  awardBounty,
+  refundBounty,
+  resolveExpiredBounties
+};
@@ -0,0 +1,170 @@
+const Question = require('../models/Question');
+const CloseVote = require('../models/CloseVote');
+const SiteSetting = require('../models/SiteSetting');
+const Notification = require('../models/Notification');
+const { meetsTwoFactorPolicy } = require('../middleware/auth');
+
+// Site settings (admins change them through /api/admin/settings/close-votes)
+const CLOSE_VOTE_THRESHOLD_KEY = 'closeVotes.threshold';
+const CLOSE_VOTE_EXPIRY_DAYS_KEY = 'closeVotes.expiryDays';
+const DEFAULT_CLOSE_VOTE_THRESHOLD = 5;
+const DEFAULT_CLOSE_VOTE_EXPIRY_DAYS = 4;
+
+// A moderator's vote closes or reopens a question on its own, once they meet the
+// two-factor policy for their role; until then it counts as an ordinary vote
+const BINDING_ROLES = ['moderator', 'admin'];
+
+const REASON_LABELS = {
+  'duplicate': 'a duplicate',
+  'off-topic': 'off-topic',
+  'too-broad': 'too broad',
+  'unclear': 'unclear',
+  'spam': 'spam'
+};
+
+const getCloseVoteSettings = async () => {
+  const [threshold, expiryDays] = await Promise.all([
+    SiteSetting.getValue(CLOSE_VOTE_THRESHOLD_KEY, DEFAULT_CLOSE_VOTE_THRESHOLD),
+    SiteSetting.getValue(CLOSE_VOTE_EXPIRY_DAYS_KEY, DEFAULT_CLOSE_VOTE_EXPIRY_DAYS)
+  ]);
+  return { threshold, expiryDays };
+};
+
+// The reason most close votes gave; ties go to the earliest vote
+const mostCommonReason = (votes) => {
+  const counts = new Map();
+  votes.forEach(vote => counts.set(vote.reason, (counts.get(vote.reason) || 0) + 1));
+  return votes.reduce((best, vote) => (counts.get(vote.reason) > counts.get(best) ? vote.reason : best), votes[0].reason);
+};
+
+// Canonical questions named by the duplicate votes, earliest vote first
+const duplicateTargets = (votes) => {
+  const targets = [];
+  votes
+    .filter(vote => vote.reason === 'duplicate')
+    .forEach(vote => vote.duplicateOf.forEach(id => {
+      if (!targets.some(target => target.equals(id))) {
+        targets.push(id);
+      }
+    }));
+  return targets.slice(0, Question.MAX_DUPLICATE_TARGETS);
+};
+
+// Open votes on a question, for display
+const summarizeCloseVotes = async (question, userId = null) => {
+  const [{ threshold }, closeVotes, reopenVotes] = await Promise.all([
+    getCloseVoteSettings(),
+    CloseVote.findActive(question._id, 'close'),
+    CloseVote.findActive(question._id, 'reopen')
+  ]);
+
+  const reasons = {};
+  closeVotes.forEach(vote => {
+    reasons[vote.reason] = (reasons[vote.reason] || 0) + 1;
+  });
+
+  const votedBy = (votes) => !!userId && votes.some(vote => vote.voter.equals(userId));
+
+  await question.populate('duplicateOf', 'title');
+
+  return {
+    isClosed: question.isClosed,
+    closedReason: question.closedReason,
+    closedAt: question.closedAt,
+    duplicateOf: question.duplicateOf,
+    threshold,
+    close: { count: closeVotes.length, reasons, voted: votedBy(closeVotes) },
+    reopen: { count: reopenVotes.length, voted: votedBy(reopenVotes) }
+  };
+};
+
+const notifyAuthor = (question, title, message) => {
+  return Notification.createNotification({
+    recipient: question.author,
+    type: 'moderation',
+    title,
+    message,
+    relatedQuestion: question._id,
+    actionUrl: `/question/${question._id}`
+  }).catch(error => console.error('Failed to send close vote notification:', error));
+};
+
+// Record a vote to close ('close', with a reason and, for duplicates, the canonical questions)
+// or reopen a question. Closes or reopens it once enough votes are in, or straight away for a
+// moderator. Throws a 409-style error when the user already has a vote counting.
+const castCloseVote = async ({ question, voter, action, reason = null, duplicateOf = [] }) => {
+  const { threshold, expiryDays } = await getCloseVoteSettings();
+  const now = new Date();
+
+  // An expired vote the TTL monitor has not removed yet does not block a new one
+  await CloseVote.deleteOne({ question: question._id, action, voter: voter._id, expiresAt: { $lte: now } });
+
+  try {
+    await CloseVote.create({
+      question: question._id,
+      voter: voter._id,
+      action,
+      reason: action === 'close' ? reason : null,
+      duplicateOf: action === 'close' && reason === 'duplicate' ? duplicateOf : [],
+      expiresAt: new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const duplicate = new Error(`You already voted to ${action} this question`);
+      duplicate.status = 409;
+      throw duplicate;
+    }
+    throw error;
+  }
+
+  const votes = await CloseVote.findActive(question._id, action);
+  const binding = BINDING_ROLES.includes(voter.role) && await meetsTwoFactorPolicy(voter);
+
+  if (!binding && votes.length < threshold) {
+    return { decided: false, votes: votes.length, threshold };
+  }
+
+  if (action === 'close') {
+    question.isClosed = true;
+    question.closedReason = binding ? reason : mostCommonReason(votes);
+    question.closedBy = voter._id;
+    question.closedAt = now;
+    if (question.closedReason === 'duplicate') {
+      question.duplicateOf = binding ? duplicateOf : duplicateTargets(votes);
+    }
+  } else {
+    question.isClosed = false;
+    question.closedReason = null;
+    question.closedBy = null;
+    question.closedAt = null;
+    question.duplicateOf = [];
+  }
+  await question.save();
+
+  // A decision starts a fresh round of voting
+  await CloseVote.deleteMany({ question: question._id });
+
+  if (action === 'close') {
+    await notifyAuthor(
+      question,
+      'Question Closed',
+      `Your question "${question.title}" was closed as ${REASON_LABELS[question.closedReason]}. It no longer accepts answers; edit it and it can be voted to reopen.`
+    );
+  } else {
+    await notifyAuthor(
+      question,
+      'Question Reopened',
+      `Your question "${question.title}" was reopened and accepts answers again.`
+    );
+  }
+
+  return { decided: true, votes: votes.length, threshold };
+};
+
+module.exports = {
+  CLOSE_VOTE_THRESHOLD_KEY,
+  CLOSE_VOTE_EXPIRY_DAYS_KEY,
+  getCloseVoteSettings,
+  summarizeCloseVotes,
+  castCloseVote
+};
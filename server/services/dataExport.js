@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Notification = require('../models/Notification');
+const ExportJob = require('../models/ExportJob');
+const ReputationEvent = require('../models/ReputationEvent');
+const {
+  uploadsDir,
+  configureCloudinary,
+  uploadToCloudinary,
+  deleteFromCloudinary,
+  deleteFile
+} = require('../middleware/upload');
+
+const exportsDir = path.join(uploadsDir, 'exports');
+
+// How long a finished archive can be downloaded
+const getExportTtlMs = () => {
+  return (parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48) * 60 * 60 * 1000;
+};
+
+const escapeHtml = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Gather everything stored about a user
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const [
+    questions, answers, commentedAnswers, votedQuestions, votedAnswers, notifications, reputation
+  ] = await Promise.all([
+    Question.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Answer.find({ author: userId }).populate('question', 'title').sort({ createdAt: 1 }).lean(),
+    Answer.find({ 'comments.author': userId }).select('question comments').lean(),
+    Question.find({ $or: [{ 'upvotes.user': userId }, { 'downvotes.user': userId }] })
+      .select('title upvotes downvotes').lean(),
+    Answer.find({ $or: [{ 'upvotes.user': userId }, { 'downvotes.user': userId }] })
+      .select('question upvotes downvotes').lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean(),
+    // Who voted is not the user's data, so the actor is left out
+    ReputationEvent.find({ user: userId })
+      .select('points reason question answer reverses createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  const isUser = (id) => id && id.equals(userId);
+
+  const comments = commentedAnswers.flatMap(answer => answer.comments
+    .filter(comment => isUser(comment.author))
+    .map(comment => ({
+      _id: comment._id,
+      answer: answer._id,
+      question: answer.question,
+      content: comment.content,
+      createdAt: comment.createdAt
+    })));
+
+  const votesOn = (documents, contentType) => documents.flatMap(document => [
+    ...document.upvotes.filter(vote => isUser(vote.user)).map(vote => ({ direction: 'up', createdAt: vote.createdAt })),
+    ...document.downvotes.filter(vote => isUser(vote.user)).map(vote => ({ direction: 'down', createdAt: vote.createdAt }))
+  ].map(vote => ({
+    contentType,
+    contentId: document._id,
+    ...(contentType === 'question' ? { title: document.title } : { question: document.question }),
+    ...vote
+  })));
+
+  // Only the user's own side of each post; other people's votes are not theirs to export
+  const stripVoters = ({ upvotes, downvotes, viewedBy, ...post }) => ({
+    ...post,
+    upvoteCount: upvotes ? upvotes.length : 0,
+    downvoteCount: downvotes ? downvotes.length : 0
+  });
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    badges: user.badges,
+    questions: questions.map(stripVoters),
+    answers: answers.map(answer => ({
+      ...stripVoters(answer),
+      comments: answer.comments.filter(comment => isUser(comment.author))
+    })),
+    comments,
+    votes: [...votesOn(votedQuestions, 'question'), ...votesOn(votedAnswers, 'answer')]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    notifications,
+    reputation
+  };
+};
+
+// Render the user's posts as a single readable HTML page.
+// Post bodies are stored already sanitized, so they are embedded as-is.
+const renderPostsHtml = (data) => {
+  const username = escapeHtml(data.profile.username);
+  const date = (value) => escapeHtml(new Date(value).toISOString());
+
+  const questions = data.questions.map(question => `
+    <article>
+      <h3>${escapeHtml(question.title)}</h3>
+      <p class="meta">Asked ${date(question.createdAt)} · ${question.upvoteCount - question.downvoteCount} votes${question.tags && question.tags.length ? ' · ' + question.tags.map(escapeHtml).join(', ') : ''}</p>
+      <div class="content">${question.content}</div>
+    </article>`).join('');
+
+  const answers = data.answers.map(answer => `
+    <article>
+      <h3>Answer to: ${escapeHtml(answer.question ? answer.question.title : '[deleted question]')}</h3>
+      <p class="meta">Answered ${date(answer.createdAt)} · ${answer.upvoteCount - answer.downvoteCount} votes${answer.isAccepted ? ' · accepted' : ''}</p>
+      <div class="content">${answer.content}</div>
+      ${(answer.editHistory || []).map(edit => `
+      <details>
+        <summary>Revision from ${date(edit.editedAt)}${edit.reason ? ' – ' + escapeHtml(edit.reason) : ''}</summary>
+        <div class="content">${edit.content || ''}</div>
+      </details>`).join('')}
+    </article>`).join('');
+
+  const comments = data.comments.map(comment => `
+    <li><span class="meta">${date(comment.createdAt)}</span> ${escapeHtml(comment.content)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>StackIt posts by ${username}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 800px; margin: 2rem auto; line-height: 1.5; }
+    article { border-bottom: 1px solid #ddd; padding: 1rem 0; }
+    .meta { color: #666; font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <h1>Posts by ${username}</h1>
+  <p class="meta">Exported ${date(data.exportedAt)}</p>
+  <h2>Questions (${data.questions.length})</h2>${questions}
+  <h2>Answers (${data.answers.length})</h2>${answers}
+  <h2>Comments (${data.comments.length})</h2>
+  <ul>${comments}
+  </ul>
+</body>
+</html>
+`;
+};
+
+// Write the export archive to disk
+const writeArchive = (filePath, data) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    const json = (value) => JSON.stringify(value, null, 2);
+
+    archive.append(json(data.profile), { name: 'profile.json' });
+    archive.append(json(data.badges), { name: 'badges.json' });
+    archive.append(json(data.questions), { name: 'questions.json' });
+    archive.append(json(data.answers), { name: 'answers.json' });
+    archive.append(json(data.comments), { name: 'comments.json' });
+    archive.append(json(data.votes), { name: 'votes.json' });
+    archive.append(json(data.notifications), { name: 'notifications.json' });
+    archive.append(json(data.reputation), { name: 'reputation.json' });
+    archive.append(renderPostsHtml(data), { name: 'posts.html' });
+
+    archive.finalize();
+  });
+};
+
+// Build the archive for one export job and store it
+const runExportJob = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+
+  // Another worker already picked it up
+  if (!job) {
+    return null;
+  }
+
+  let filePath = null;
+
+  try {
+    const data = await collectUserData(job.user);
+    if (!data) {
+      throw new Error('User no longer exists');
+    }
+
+    if (!fs.existsSync(exportsDir)) {
+      fs.mkdirSync(exportsDir, { recursive: true });
+    }
+
+    filePath = path.join(exportsDir, `stackit-export-${job._id}.zip`);
+    const size = await writeArchive(filePath, data);
+
+    job.file = { path: filePath, url: null, publicId: null, size };
+
+    if (configureCloudinary()) {
+      // Authenticated delivery: the archive is only reachable through signed links
+      // handed out by the download route
+      const result = await uploadToCloudinary(filePath, {
+        resource_type: 'raw',
+        type: 'authenticated',
+        folder: 'stackit/exports'
+      });
+      job.file.publicId = result.public_id;
+      job.file.path = null;
+
+      deleteFile(filePath);
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + getExportTtlMs());
+    await job.save();
+
+    return job;
+  } catch (error) {
+    console.error(`Data export ${job._id} failed:`, error);
+
+    if (filePath) {
+      deleteFile(filePath);
+    }
+
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+
+    return job;
+  }
+};
+
+// Remove the stored archive of a job
+const removeExportFile = async (job) => {
+  if (job.file && job.file.publicId) {
+    // Archives stored before exports were private have a public url
+    await deleteFromCloudinary(job.file.publicId, {
+      resource_type: 'raw',
+      type: job.file.url ? 'upload' : 'authenticated'
+    });
+  }
+
+  if (job.file && job.file.path) {
+    deleteFile(job.file.path);
+  }
+};
+
+// Delete archives whose download window has passed
+const expireExports = async () => {
+  const expired = await ExportJob.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const job of expired) {
+    try {
+      await removeExportFile(job);
+      job.status = 'expired';
+      job.file = { path: null, url: null, publicId: null, size: null };
+      await job.save();
+    } catch (error) {
+      console.error(`Failed to expire data export ${job._id}:`, error);
+    }
+  }
+
+  return expired.length;
+};
+
+// Pick up exports left pending, e.g. after a restart
+const processPendingExports = async () => {
+  const pending = await ExportJob.find({ status: 'pending' }).select('_id');
+
+  for (const { _id } of pending) {
+    await runExportJob(_id);
+  }
+
+  return pending.length;
+};
+
+module.exports = {
+  collectUserData,
+  renderPostsHtml,
+  runExportJob,
+  removeExportFile,
+  expireExports,
+  processPendingExports
+};
@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for things that happened in the domain (a question was asked, a vote was cast, ...).
+// Routes emit after their changes are saved; listeners such as the badge engine react without
+// the routes knowing about them. Every payload carries the userId the event is about.
+const DOMAIN_EVENTS = {
+  QUESTION_CREATED: 'question.created',
+  ANSWER_CREATED: 'answer.created',
+  ANSWER_ACCEPTED: 'answer.accepted',
+  POST_VOTED: 'post.voted',
+  USER_VISITED: 'user.visited'
+};
+
+const domainEvents = new EventEmitter();
+
+const emitDomainEvent = (name, payload) => {
+  domainEvents.emit(name, payload);
+};
+
+// Subscribe an async handler; failures are logged instead of reaching the emitting request
+const onDomainEvent = (name, handler) => {
+  domainEvents.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`Domain event ${name} handler failed:`, error));
+  });
+};
+
+module.exports = {
+  DOMAIN_EVENTS,
+  emitDomainEvent,
+  onDomainEvent
+};
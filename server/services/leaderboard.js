@@ -0,0 +1,51 @@
+const ReputationEvent = require('../models/ReputationEvent');
+
+const LEADERBOARD_PERIODS = ['week', 'month', 'year', 'all'];
+
+// Start of the current calendar week (Monday), month or year in UTC
+const getPeriodStart = (period, now = new Date()) => {
+  switch (period) {
+    case 'week': {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      return start;
+    }
+    case 'month':
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    case 'year':
+      return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    default:
+      return new Date(0);
+  }
+};
+
+// Reputation each user earned since a date, optionally only on questions with one tag.
+// Reversals count when they happen, so a retracted vote lowers the period it is retracted in.
+const getReputationEarned = async (since, tag = null) => {
+  const results = await ReputationEvent.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    ...(tag ? [
+      { $lookup: { from: 'questions', localField: 'question', foreignField: '_id', as: 'source' } },
+      { $match: { 'source.tags': tag } }
+    ] : []),
+    { $group: { _id: '$user', points: { $sum: '$points' } } }
+  ]);
+
+  return new Map(results.map(({ _id, points }) => [_id.toString(), points]));
+};
+
+// Rank authors by reputation earned in a period; returns [{ userId, points }] best first
+const getLeaderboard = async ({ period = 'week', tag = null } = {}) => {
+  const totals = await getReputationEarned(getPeriodStart(period), tag ? tag.toLowerCase() : null);
+
+  return [...totals.entries()]
+    .filter(([, points]) => points > 0)
+    .map(([userId, points]) => ({ userId, points }))
+    .sort((a, b) => b.points - a.points);
+};
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  getPeriodStart,
+  getLeaderboard
+};
@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const Notification = require('../models/Notification');
+
+// Failures allowed before any delay applies
+const FREE_ATTEMPTS = 3;
+// Longest progressive delay between attempts
+const MAX_DELAY_MS = 60 * 1000;
+// Failures are forgotten after this long without another one
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+// The owner is alerted once this many failures have piled up
+const FAILURE_ALERT_THRESHOLD = 5;
+// Longest time one attempt holds the account while its password or code is checked
+const ATTEMPT_HOLD_MS = 5 * 1000;
+
+const getLockoutThreshold = () => parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+const getLockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// How long the account is closed to attempts after the given number of failures
+const getLockDurationMs = (failedAttempts) => {
+  if (failedAttempts >= getLockoutThreshold()) {
+    return getLockoutMs();
+  }
+  if (failedAttempts <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failedAttempts - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+// Whether the account currently refuses sign-in attempts
+const getLockState = (user) => {
+  const lockUntil = user.loginSecurity && user.loginSecurity.lockUntil;
+  const remainingMs = lockUntil ? lockUntil.getTime() - Date.now() : 0;
+
+  return {
+    locked: remainingMs > 0,
+    retryAfterSeconds: remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0
+  };
+};
+
+// Reserve the account for one sign-in attempt before the password or code is checked.
+// The lock check and the hold are one update, so parallel guesses cannot all find the lock
+// unset: they run one at a time, and each waits out the delay the previous failure set.
+// Returns the lock state; a locked attempt must be refused.
+const reserveLoginAttempt = async (user) => {
+  const now = new Date();
+  const holdUntil = new Date(now.getTime() + ATTEMPT_HOLD_MS);
+
+  const reserved = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'loginSecurity.lockUntil': null }, { 'loginSecurity.lockUntil': { $lte: now } }]
+    },
+    { 'loginSecurity.lockUntil': holdUntil }
+  );
+
+  if (reserved.modifiedCount > 0) {
+    return { locked: false, retryAfterSeconds: 0, holdUntil };
+  }
+
+  const current = await User.findById(user._id).select('loginSecurity');
+  const { retryAfterSeconds } = getLockState(current || user);
+  return { locked: true, retryAfterSeconds: Math.max(retryAfterSeconds, 1), holdUntil: null };
+};
+
+// Give the account back after an attempt that neither failed nor signed in
+const releaseLoginAttempt = (user, attempt) => {
+  return User.updateOne(
+    { _id: user._id, 'loginSecurity.lockUntil': attempt.holdUntil },
+    { 'loginSecurity.lockUntil': null }
+  );
+};
+
+const notifySystem = (userId, title, message) => {
+  return Notification.createNotification({
+    recipient: userId,
+    type: 'system',
+    title,
+    message,
+    priority: 'high',
+    actionUrl: '/settings'
+  }).catch(error => console.error('Failed to send security notification:', error));
+};
+
+// Record a refused attempt without counting it (the account was already locked)
+const registerLockedAttempt = (user, req, method) => {
+  return LoginHistory.record(user._id, req, {
+    success: false,
+    method,
+    failureReason: 'locked'
+  });
+};
+
+// Count a failed attempt, apply the next delay or lockout in place of the attempt's hold,
+// and alert the owner when needed. The counter is bumped in one atomic update.
+const registerFailedLogin = async (user, req, method, failureReason, attempt) => {
+  const now = new Date();
+
+  const updated = await User.findOneAndUpdate({ _id: user._id }, [{
+    $set: {
+      'loginSecurity.failedAttempts': {
+        $cond: [
+          { $lt: [{ $subtract: [now, { $ifNull: ['$loginSecurity.lastFailedAt', new Date(0)] }] }, FAILURE_WINDOW_MS] },
+          { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] },
+          1
+        ]
+      },
+      'loginSecurity.lastFailedAt': now
+    }
+  }], { new: true }).select('loginSecurity');
+
+  const failedAttempts = updated ? updated.loginSecurity.failedAttempts : 1;
+  const lockMs = getLockDurationMs(failedAttempts);
+
+  const replaced = await User.updateOne(
+    { _id: user._id, 'loginSecurity.lockUntil': attempt.holdUntil },
+    { 'loginSecurity.lockUntil': lockMs > 0 ? new Date(now.getTime() + lockMs) : null }
+  );
+
+  // The hold ran out and another attempt took over; $max keeps whichever lock is longer
+  if (replaced.modifiedCount === 0 && lockMs > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $max: { 'loginSecurity.lockUntil': new Date(now.getTime() + lockMs) } }
+    );
+  }
+
+  user.loginSecurity = {
+    failedAttempts,
+    lastFailedAt: now,
+    lockUntil: lockMs > 0 ? new Date(now.getTime() + lockMs) : null
+  };
+
+  await LoginHistory.record(user._id, req, {
+    success: false,
+    method,
+    failureReason
+  });
+
+  if (failedAttempts === getLockoutThreshold()) {
+    await notifySystem(
+      user._id,
+      'Account temporarily locked',
+      `Sign-in to your account was locked for ${Math.round(getLockoutMs() / 60000)} minutes after ${failedAttempts} failed attempts. If this was not you, change your password.`
+    );
+  } else if (failedAttempts === FAILURE_ALERT_THRESHOLD) {
+    await notifySystem(
+      user._id,
+      'Repeated failed sign-in attempts',
+      `There have been ${failedAttempts} failed attempts to sign in to your account. If this was not you, change your password and turn on two-factor authentication.`
+    );
+  }
+
+  return getLockState(user);
+};
+
+// Clear the failure counter and record the sign-in, alerting the owner about new devices
+const registerSuccessfulLogin = async (user, req, method) => {
+  const knownDevice = await LoginHistory.isKnownDevice(user._id, req);
+  const newDevice = knownDevice === false;
+
+  // Checked against the stored state, which also holds this attempt's reservation
+  await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'loginSecurity.failedAttempts': { $gt: 0 } }, { 'loginSecurity.lockUntil': { $ne: null } }]
+    },
+    { loginSecurity: { failedAttempts: 0, lastFailedAt: null, lockUntil: null } }
+  );
+  if (user.loginSecurity && (user.loginSecurity.failedAttempts || user.loginSecurity.lockUntil)) {
+    user.loginSecurity = { failedAttempts: 0, lastFailedAt: null, lockUntil: null };
+  }
+
+  await LoginHistory.record(user._id, req, {
+    success: true,
+    method,
+    newDevice
+  });
+
+  if (newDevice) {
+    const userAgent = req ? req.get('user-agent') || 'an unknown browser' : 'an unknown browser';
+    await notifySystem(
+      user._id,
+      'New sign-in to your account',
+      `Your account was signed in to from a new device (${userAgent.slice(0, 150)}, IP ${req ? req.ip : 'unknown'}). If this was not you, revoke the session and change your password.`
+    );
+  }
+};
+
+module.exports = {
+  getLockState,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerLockedAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+};
@@ -0,0 +1,45 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail } = require('../utils/mailer');
+const { buildDigestEmail } = require('../utils/notificationEmails');
+
+// Notifications listed in one digest email; the rest are counted
+const DIGEST_MAX_ITEMS = 25;
+
+// Email every user with pending digest notifications one summary, then mark them sent.
+// Users who turned email off since the notifications were queued get nothing.
+const sendNotificationDigests = async () => {
+  const recipients = await Notification.distinct('recipient', { digestStatus: 'pending' });
+  let sent = 0;
+
+  for (const recipientId of recipients) {
+    const pending = await Notification.find({ recipient: recipientId, digestStatus: 'pending' })
+      .sort({ createdAt: -1 });
+    const ids = pending.map(notification => notification._id);
+
+    const user = await User.findById(recipientId).select('username email preferences');
+
+    if (user && user.email && user.preferences.emailNotifications !== false) {
+      try {
+        await sendMail(buildDigestEmail(
+          user,
+          pending.slice(0, DIGEST_MAX_ITEMS),
+          Math.max(pending.length - DIGEST_MAX_ITEMS, 0)
+        ));
+        sent++;
+      } catch (error) {
+        // Left pending so the next run tries again
+        console.error(`Failed to send notification digest to ${recipientId}:`, error);
+        continue;
+      }
+    }
+
+    await Notification.updateMany({ _id: { $in: ids } }, { digestStatus: 'sent' });
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendNotificationDigests
+};
@@ -0,0 +1,116 @@
+const sanitizeHtml = require('sanitize-html');
+const Question = require('../models/Question');
+const Tag = require('../models/Tag');
+const QuestionRevision = require('../models/QuestionRevision');
+
+// HTML allowed in questions and answers
+const sanitizeOptions = {
+  allowedTags: [
+    'p', 'br', 'strong', 'em', 'u', 's', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'code', 'pre', 'ul', 'ol', 'li', 'a', 'img'
+  ],
+  allowedAttributes: {
+    'a': ['href', 'title'],
+    'img': ['src', 'alt', 'title', 'width', 'height']
+  },
+  allowedSchemes: ['http', 'https', 'mailto']
+};
+
+const sanitizePostContent = (html) => sanitizeHtml(html, sanitizeOptions);
+
+// Normalize a tag list the way questions store it
+const normalizeTags = (tags) => [...new Set(tags.map(tagName => tagName.toLowerCase().trim()).filter(Boolean))];
+
+// Tags in a list that do not exist yet
+const findNewTags = async (tags) => {
+  const names = normalizeTags(tags);
+  const existing = await Tag.find({ name: { $in: names } }).distinct('name');
+  return names.filter(name => !existing.includes(name));
+};
+
+// Move tag usage from the tags a question had to the ones it has now
+const updateTagUsage = async (previousTags, nextTags, userId) => {
+  for (const tagName of nextTags.filter(tagName => !previousTags.includes(tagName))) {
+    const tag = await Tag.findOrCreate(tagName, userId);
+    await tag.incrementUsage();
+  }
+
+  for (const tagName of previousTags.filter(tagName => !nextTags.includes(tagName))) {
+    const tag = await Tag.findOne({ name: tagName });
+    if (tag) {
+      await tag.decrementUsage();
+    }
+  }
+};
+
+// Whether a question's title, content and tags match a snapshot (e.g. a revision)
+const questionMatches = (question, snapshot) =>
+  question.title === snapshot.title &&
+  question.content === snapshot.content &&
+  question.tags.join(',') === snapshot.tags.join(',');
+
+// Apply an edit to a question: update tag usage and activity and record the revision.
+// Content must already be sanitized; fields left undefined are not changed.
+const editQuestion = async (question, { title, content, tags }, editorId, revisionOptions = {}) => {
+  const previous = {
+    title: question.title,
+    content: question.content,
+    tags: [...question.tags]
+  };
+
+  // Questions posted before revisions were kept get their current state stored first
+  await QuestionRevision.ensureBaseline(question);
+
+  if (title) question.title = title;
+  if (content) question.content = content;
+  if (tags) question.tags = normalizeTags(tags);
+  question.lastActivity = new Date();
+  question.lastActivityBy = editorId;
+  await question.save();
+
+  if (tags) {
+    await updateTagUsage(previous.tags, question.tags, editorId);
+  }
+
+  if (!questionMatches(question, previous)) {
+    await QuestionRevision.record(question, editorId, revisionOptions);
+  }
+
+  return question;
+};
+
+// Apply an edit to an answer, keeping the old content in its edit history
+const editAnswer = async (answer, content, editorId, { reason = null } = {}) => {
+  if (content !== answer.content) {
+    const previousContent = answer.content;
+    answer.content = content;
+    await answer.addToEditHistory(previousContent, editorId, reason || 'Content updated');
+  }
+
+  await Question.findByIdAndUpdate(answer.question, {
+    lastActivity: new Date(),
+    lastActivityBy: editorId
+  });
+
+  return answer;
+};
+
+// Update the excerpt and/or content of a tag wiki
+const editTagWiki = async (tag, { excerpt, content }, editorId) => {
+  if (excerpt !== undefined) tag.wiki.excerpt = excerpt;
+  if (content !== undefined) tag.wiki.content = content;
+  tag.wiki.lastEditedBy = editorId;
+  tag.wiki.lastEditedAt = new Date();
+  return tag.save();
+};
+
+module.exports = {
+  sanitizePostContent,
+  normalizeTags,
+  findNewTags,
+  updateTagUsage,
+  questionMatches,
+  editQuestion,
+  editAnswer,
+  editTagWiki
+};
@@ -0,0 +1,148 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const CloseVote = require('../models/CloseVote');
+const SuggestedEdit = require('../models/SuggestedEdit');
+const ReputationEvent = require('../models/ReputationEvent');
+const Notification = require('../models/Notification');
+const { currentVote, recordVoteChange, reverseAccept } = require('./reputation');
+const { editQuestion, updateTagUsage } = require('./postEditing');
+const { refundBounty } = require('./bounties');
+
+// Questions carry at most this many tags
+const MAX_TAGS = 5;
+
+// Move the answers of a duplicate to the target question. Answers keep their votes and
+// reputation, but stop being accepted: the target's author never accepted them.
+const moveAnswers = async (source, target) => {
+  const answers = await Answer.find({ question: source._id });
+  const answerIds = answers.map(answer => answer._id);
+
+  for (const answer of answers.filter(answer => answer.isAccepted)) {
+    answer.isAccepted = false;
+    answer.acceptedAt = null;
+    await answer.save();
+    await reverseAccept(answer, source.author);
+  }
+
+  await Answer.updateMany({ _id: { $in: answerIds } }, { question: target._id });
+
+  // Keep the ledger pointing at the answers' new question, so later vote changes find their events
+  await ReputationEvent.updateMany(
+    { question: source._id, answer: { $in: answerIds } },
+    { question: target._id }
+  );
+  await SuggestedEdit.updateMany(
+    { targetType: 'answer', answer: { $in: answerIds } },
+    { question: target._id }
+  );
+
+  source.answers.forEach(answerId => {
+    if (!target.answers.some(id => id.equals(answerId))) {
+      target.answers.push(answerId);
+    }
+  });
+  if (target.answers.length > 0) {
+    target.isAnswered = true;
+  }
+
+  source.answers = [];
+  source.acceptedAnswer = null;
+  source.isAnswered = false;
+};
+
+// Move question votes to the target, and the reputation they earned to the target's author.
+// A vote is dropped if its voter already voted on the target or wrote it.
+const moveVotes = async (source, target) => {
+  for (const type of ['upvote', 'downvote']) {
+    for (const vote of source[`${type}s`]) {
+      await recordVoteChange({
+        contentType: 'question',
+        post: source,
+        author: source.author,
+        voter: vote.user,
+        previousVote: type,
+        newVote: null
+      });
+
+      if (vote.user.equals(target.author) || currentVote(target, vote.user)) {
+        continue;
+      }
+
+      target[`${type}s`].push({ user: vote.user, createdAt: vote.createdAt });
+      await recordVoteChange({
+        contentType: 'question',
+        post: target,
+        author: target.author,
+        voter: vote.user,
+        previousVote: null,
+        newVote: type
+      });
+    }
+  }
+
+  source.upvotes = [];
+  source.downvotes = [];
+};
+
+// Merge a duplicate question into a canonical one: answers, votes and tags move to the target,
+// and the duplicate is closed and kept as a redirect to it.
+const mergeQuestion = async (source, target, moderator, reason = null) => {
+  // An open bounty on the duplicate goes back to whoever offered it
+  if (await refundBounty(source)) {
+    source.featured = false;
+    source.bounty = { amount: 0, offeredBy: null, expiresAt: null, startedAt: null };
+  }
+
+  await moveAnswers(source, target);
+  await moveVotes(source, target);
+
+  const tags = [...new Set([...target.tags, ...source.tags])].slice(0, MAX_TAGS);
+  await editQuestion(target, { tags }, moderator._id, {
+    reason: reason || `Merged from "${source.title}"`
+  });
+
+  const sourceTags = [...source.tags];
+  source.tags = [];
+  source.isClosed = true;
+  source.closedReason = 'duplicate';
+  source.closedBy = moderator._id;
+  source.closedAt = new Date();
+  source.duplicateOf = [target._id];
+  source.mergedInto = target._id;
+  await source.save();
+  await updateTagUsage(sourceTags, [], moderator._id);
+
+  // Links and redirects to the duplicate now go to the target
+  await Question.updateMany(
+    { duplicateOf: source._id, _id: { $ne: target._id } },
+    { $addToSet: { duplicateOf: target._id } }
+  );
+  await Question.updateMany({ duplicateOf: source._id }, { $pull: { duplicateOf: source._id } });
+  await Question.updateMany({ mergedInto: source._id }, { mergedInto: target._id });
+
+  await CloseVote.deleteMany({ question: source._id });
+  await SuggestedEdit.updateMany(
+    { targetType: 'question', question: source._id, status: 'pending' },
+    {
+      status: 'rejected',
+      reviewedBy: moderator._id,
+      reviewedAt: new Date(),
+      reviewReason: 'The question was merged into another question'
+    }
+  );
+
+  await Notification.createNotification({
+    recipient: source.author,
+    type: 'moderation',
+    title: 'Question Merged',
+    message: `Your question "${source.title}" was merged into "${target.title}". Its answers and votes now appear there.`,
+    relatedQuestion: target._id,
+    actionUrl: `/question/${target._id}`
+  }).catch(error => console.error('Failed to send merge notification:', error));
+
+  return target;
+};
+
+module.exports = {
+  mergeQuestion
+};
@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const ReputationEvent = require('../models/ReputationEvent');
+
+// Points the content author receives
+const REPUTATION_POINTS = {
+  questionUpvote: 5,
+  answerUpvote: 10,
+  downvote: -2,
+  accept: 15
+};
+
+// Reputation starts at 1 and never drops below it
+const BASE_REPUTATION = 1;
+
+const votePoints = (contentType, vote) => {
+  if (vote === 'downvote') {
+    return REPUTATION_POINTS.downvote;
+  }
+  return contentType === 'question' ? REPUTATION_POINTS.questionUpvote : REPUTATION_POINTS.answerUpvote;
+};
+
+// Question/answer references of an event for a post
+const postRefs = (contentType, post) => (contentType === 'question'
+  ? { question: post._id, answer: null }
+  : { question: post.question, answer: post._id });
+
+// Add points to a user's stored reputation in one atomic update
+const applyPoints = (userId, points) => User.updateOne(
+  { _id: userId },
+  [{ $set: { reputation: { $max: [BASE_REPUTATION, { $add: [{ $ifNull: ['$reputation', BASE_REPUTATION] }, points] }] } } }]
+);
+
+// Record a reputation change and apply it to the user
+const recordEvent = async ({ user, points, reason, actor = null, question = null, answer = null, reverses = null, _id }) => {
+  const event = await ReputationEvent.create({
+    ...(_id && { _id }),
+    user,
+    points,
+    reason,
+    actor,
+    question,
+    answer,
+    reverses
+  });
+
+  if (points !== 0) {
+    await applyPoints(user, points);
+  }
+
+  return event;
+};
+
+// Undo an event with a reversal of the opposite points.
+// Returns null if the event had already been reversed.
+const reverseEvent = async (event) => {
+  const reversalId = new mongoose.Types.ObjectId();
+
+  // Claim the event first so concurrent requests cannot reverse it twice
+  const claimed = await ReputationEvent.findOneAndUpdate(
+    { _id: event._id, reversedBy: null },
+    { reversedBy: reversalId }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  return recordEvent({
+    _id: reversalId,
+    user: claimed.user,
+    points: -claimed.points,
+    reason: 'reversal',
+    actor: claimed.actor,
+    question: claimed.question,
+    answer: claimed.answer,
+    reverses: claimed._id
+  });
+};
+
+// Reverse the latest active event matching a vote or accept.
+// Votes cast before the ledger existed have no event: one is recorded with fallbackPoints
+// (already part of the stored reputation, so not applied again) and then reversed,
+// which keeps the ledger balanced for a later rebuild.
+const reverseLatest = async ({ user, actor, reason, question, answer = null }, fallbackPoints = 0) => {
+  let event = await ReputationEvent.findOne({ user, actor, reason, question, answer, reversedBy: null })
+    .sort({ createdAt: -1 });
+
+  if (!event) {
+    if (fallbackPoints === 0) {
+      return null;
+    }
+    event = await ReputationEvent.create({ user, points: fallbackPoints, reason, actor, question, answer });
+  }
+
+  return reverseEvent(event);
+};
+
+// The vote a user currently has on a question or answer: 'upvote', 'downvote' or null
+const currentVote = (post, userId) => {
+  if (post.upvotes.some(vote => vote.user.equals(userId))) {
+    return 'upvote';
+  }
+  if (post.downvotes.some(vote => vote.user.equals(userId))) {
+    return 'downvote';
+  }
+  return null;
+};
+
+// Record the reputation effect of a vote change on a question or answer.
+// previousVote and newVote are 'upvote', 'downvote' or null (no vote).
+const recordVoteChange = async ({ contentType, post, author, voter, previousVote, newVote }) => {
+  if (previousVote === newVote) {
+    return;
+  }
+
+  const refs = postRefs(contentType, post);
+
+  if (previousVote) {
+    await reverseLatest(
+      { user: author, actor: voter, reason: previousVote, ...refs },
+      votePoints(contentType, previousVote)
+    );
+  }
+
+  if (newVote) {
+    await recordEvent({
+      user: author,
+      points: votePoints(contentType, newVote),
+      reason: newVote,
+      actor: voter,
+      ...refs
+    });
+  }
+};
+
+// Award the accept bonus to an answer's author
+const recordAccept = (answer, acceptedBy) => recordEvent({
+  user: answer.author._id || answer.author,
+  points: REPUTATION_POINTS.accept,
+  reason: 'accept',
+  actor: acceptedBy,
+  question: answer.question,
+  answer: answer._id
+});
+
+// Take the accept bonus back when an answer is unaccepted
+const reverseAccept = (answer, acceptedBy) => reverseLatest(
+  {
+    user: answer.author._id || answer.author,
+    actor: acceptedBy,
+    reason: 'accept',
+    question: answer.question,
+    answer: answer._id
+  },
+  REPUTATION_POINTS.accept
+);
+
+const eventKey = ({ user, actor, reason, question, answer }) =>
+  [user, actor, reason, question, answer].map(value => (value ? value.toString() : '')).join(':');
+
+// Create events for votes and accepted answers that predate the ledger.
+// Anything that already has an active event is skipped, so this can run repeatedly.
+const backfillEvents = async () => {
+  const existing = new Set();
+  const activeEvents = ReputationEvent.find({ reason: { $in: ['upvote', 'downvote', 'accept'] }, reversedBy: null })
+    .select('user actor reason question answer')
+    .lean()
+    .cursor();
+  for await (const event of activeEvents) {
+    existing.add(eventKey(event));
+  }
+
+  let created = 0;
+  let batch = [];
+
+  const add = async (event) => {
+    if (!event.user || existing.has(eventKey(event))) {
+      return;
+    }
+    existing.add(eventKey(event));
+    batch.push(event);
+
+    if (batch.length >= 500) {
+      await ReputationEvent.insertMany(batch);
+      created += batch.length;
+      batch = [];
+    }
+  };
+
+  const addVotes = async (contentType, post) => {
+    const refs = postRefs(contentType, post);
+    for (const vote of ['upvote', 'downvote']) {
+      for (const { user, createdAt } of post[`${vote}s`] || []) {
+        await add({
+          user: post.author,
+          points: votePoints(contentType, vote),
+          reason: vote,
+          actor: user,
+          ...refs,
+          createdAt
+        });
+      }
+    }
+  };
+
+  const questions = Question.find({ $or: [{ 'upvotes.0': { $exists: true } }, { 'downvotes.0': { $exists: true } }] })
+    .select('author upvotes downvotes')
+    .lean()
+    .cursor();
+  for await (const question of questions) {
+    await addVotes('question', question);
+  }
+
+  const answers = Answer.find({
+    $or: [{ 'upvotes.0': { $exists: true } }, { 'downvotes.0': { $exists: true } }, { isAccepted: true }]
+  })
+    .select('author question upvotes downvotes isAccepted acceptedAt createdAt')
+    .populate('question', 'author')
+    .lean()
+    .cursor();
+  for await (const answer of answers) {
+    if (!answer.question) {
+      continue;
+    }
+
+    await addVotes('answer', { ...answer, question: answer.question._id });
+
+    if (answer.isAccepted) {
+      await add({
+        user: answer.author,
+        points: REPUTATION_POINTS.accept,
+        reason: 'accept',
+        actor: answer.question.author,
+        question: answer.question._id,
+        answer: answer._id,
+        createdAt: answer.acceptedAt || answer.createdAt
+      });
+    }
+  }
+
+  if (batch.length > 0) {
+    await ReputationEvent.insertMany(batch);
+    created += batch.length;
+  }
+
+  return created;
+};
+
+// Recalculate every user's reputation by replaying their events in order. Live updates never
+// let reputation drop below 1, so the floor is applied after every event here as well.
+// With backfill, votes and accepts that predate the ledger are recorded first.
+const rebuildReputation = async ({ backfill = false } = {}) => {
+  const backfilled = backfill ? await backfillEvents() : 0;
+
+  const userIds = [];
+  let operations = [];
+  let current = null;
+
+  const flush = async (force = false) => {
+    if (operations.length >= 500 || (force && operations.length > 0)) {
+      await User.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  };
+
+  const finishUser = async () => {
+    if (!current) {
+      return;
+    }
+    userIds.push(current.user);
+    operations.push({
+      updateOne: {
+        filter: { _id: current.user },
+        update: { reputation: current.reputation }
+      }
+    });
+    await flush();
+  };
+
+  // Sorted to match the { user: 1, createdAt: -1 } index walked backwards
+  const events = ReputationEvent.find()
+    .select('user points')
+    .sort({ user: -1, createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const event of events) {
+    if (!current || !current.user.equals(event.user)) {
+      await finishUser();
+      current = { user: event.user, reputation: BASE_REPUTATION };
+    }
+    current.reputation = Math.max(BASE_REPUTATION, current.reputation + event.points);
+  }
+  await finishUser();
+  await flush(true);
+
+  // Users without any events are back to the starting reputation
+  const reset = await User.updateMany(
+    { _id: { $nin: userIds }, reputation: { $ne: BASE_REPUTATION } },
+    { reputation: BASE_REPUTATION }
+  );
+
+  return {
+    backfilled,
+    usersWithEvents: userIds.length,
+    usersReset: reset.modifiedCount
+  };
+};
+
+module.exports = {
+  REPUTATION_POINTS,
+  recordEvent,
+  reverseEvent,
+  reverseLatest,
+  currentVote,
+  recordVoteChange,
+  recordAccept,
+  reverseAccept,
+  backfillEvents,
+  rebuildReputation
+};
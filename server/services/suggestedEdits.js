@@ -0,0 +1,139 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Tag = require('../models/Tag');
+const Notification = require('../models/Notification');
+const { editQuestion, editAnswer, editTagWiki, normalizeTags } = require('./postEditing');
+
+// Privilege that lets a user edit each kind of target directly, and review suggestions for it
+const EDIT_PRIVILEGES = {
+  question: 'edit-posts',
+  answer: 'edit-posts',
+  tag: 'moderation-tools'
+};
+
+// Load the question, answer or tag a suggestion is for; null if it is gone
+const loadTarget = async (targetType, targetId) => {
+  if (targetType === 'question') {
+    return Question.findById(targetId);
+  }
+  if (targetType === 'answer') {
+    const answer = await Answer.findById(targetId);
+    return answer && !answer.isDeleted ? answer : null;
+  }
+  return Tag.findById(targetId);
+};
+
+// The editable fields of a target
+const snapshotTarget = (targetType, target) => {
+  if (targetType === 'question') {
+    return { title: target.title, content: target.content, tags: [...target.tags] };
+  }
+  if (targetType === 'answer') {
+    return { content: target.content };
+  }
+  return { excerpt: target.wiki.excerpt || '', content: target.wiki.content || '' };
+};
+
+// Fill in the fields a suggestion leaves out from the original, so proposed is a full snapshot
+const completeSnapshot = (original, changes) => {
+  const proposed = { ...original };
+  Object.keys(original).forEach(field => {
+    if (changes[field] !== undefined) {
+      proposed[field] = field === 'tags' ? normalizeTags(changes[field]) : changes[field];
+    }
+  });
+  return proposed;
+};
+
+const sameSnapshot = (a, b) => Object.keys(a).every(field => (
+  field === 'tags' ? a.tags.join(',') === b.tags.join(',') : a[field] === b[field]
+));
+
+// Where the proposer can see the result (tags have no page of their own)
+const actionUrlFor = (suggestion, target) => {
+  if (suggestion.targetType === 'question') return `/question/${target._id}`;
+  if (suggestion.targetType === 'answer') return `/question/${target.question}#answer-${target._id}`;
+  return null;
+};
+
+const notifyProposer = (suggestion, target, title, message) => {
+  return Notification.createNotification({
+    recipient: suggestion.proposedBy,
+    type: 'edit',
+    title,
+    message,
+    relatedQuestion: suggestion.question,
+    relatedAnswer: suggestion.answer,
+    actionUrl: actionUrlFor(suggestion, target)
+  }).catch(error => console.error('Failed to send suggested edit notification:', error));
+};
+
+// Apply an approved suggestion through the normal edit path, credited to the proposer.
+// Returns null if another reviewer got to the suggestion first.
+const approveSuggestedEdit = async (suggestion, target, reviewer, reason = null) => {
+  const { proposed } = suggestion;
+  const editorId = suggestion.proposedBy;
+
+  if (!await suggestion.review('approved', reviewer._id, reason)) {
+    return null;
+  }
+
+  try {
+    await applySuggestedEdit(suggestion, target, editorId, proposed, reviewer);
+  } catch (error) {
+    await suggestion.reopen();
+    throw error;
+  }
+
+  await notifyProposer(
+    suggestion,
+    target,
+    'Suggested Edit Approved',
+    `${reviewer.username} approved your suggested edit${reason ? `: ${reason}` : ''}`
+  );
+
+  return suggestion;
+};
+
+const applySuggestedEdit = async (suggestion, target, editorId, proposed, reviewer) => {
+  if (suggestion.targetType === 'question') {
+    await editQuestion(target, {
+      title: proposed.title,
+      content: proposed.content,
+      tags: proposed.tags
+    }, editorId, {
+      reason: suggestion.comment || 'Suggested edit',
+      approvedBy: reviewer._id
+    });
+  } else if (suggestion.targetType === 'answer') {
+    await editAnswer(target, proposed.content, editorId, { reason: suggestion.comment || 'Suggested edit' });
+  } else {
+    await editTagWiki(target, { excerpt: proposed.excerpt, content: proposed.content }, editorId);
+  }
+};
+
+// Returns null if another reviewer got to the suggestion first
+const rejectSuggestedEdit = async (suggestion, target, reviewer, reason) => {
+  if (!await suggestion.review('rejected', reviewer._id, reason)) {
+    return null;
+  }
+
+  await notifyProposer(
+    suggestion,
+    target,
+    'Suggested Edit Rejected',
+    `${reviewer.username} rejected your suggested edit: ${reason}`
+  );
+
+  return suggestion;
+};
+
+module.exports = {
+  EDIT_PRIVILEGES,
+  loadTarget,
+  snapshotTarget,
+  completeSnapshot,
+  sameSnapshot,
+  approveSuggestedEdit,
+  rejectSuggestedEdit
+};
@@ -0,0 +1,75 @@
+const Suspension = require('../models/Suspension');
+const Notification = require('../models/Notification');
+
+const notifySuspendedUser = (userId, title, message, priority = 'high') => {
+  return Notification.createNotification({
+    recipient: userId,
+    type: 'moderation',
+    title,
+    message,
+    priority
+  }).catch(error => console.error('Failed to send suspension notification:', error));
+};
+
+// Suspend a user for a number of days and tell them why and until when
+const issueSuspension = async ({ user, moderator, reason, days }) => {
+  const startsAt = new Date();
+  const suspension = await Suspension.create({
+    user: user._id,
+    reason,
+    startsAt,
+    endsAt: new Date(startsAt.getTime() + days * 24 * 60 * 60 * 1000),
+    issuedBy: moderator._id
+  });
+
+  await notifySuspendedUser(
+    user._id,
+    'Account Suspended',
+    `Your account has been suspended until ${suspension.endsAt.toUTCString()}. You can still read the site, but cannot post, edit or vote. Reason: ${reason}`
+  );
+
+  return suspension;
+};
+
+// End a suspension before its end date
+const liftSuspension = async (suspension, moderator, reason = null) => {
+  await suspension.lift(moderator._id, reason);
+
+  await notifySuspendedUser(
+    suspension.user,
+    'Suspension Lifted',
+    'A moderator has lifted your suspension. You can post, edit and vote again.',
+    'medium'
+  );
+
+  return suspension;
+};
+
+// Mark suspensions whose end date has passed as expired and let the users know.
+// Write routes already stop applying a suspension at its end date; this keeps the records current.
+const expireSuspensions = async () => {
+  const due = await Suspension.find({ status: 'active', endsAt: { $lte: new Date() } });
+
+  for (const suspension of due) {
+    const updated = await Suspension.findOneAndUpdate(
+      { _id: suspension._id, status: 'active' },
+      { status: 'expired' }
+    );
+    if (updated) {
+      await notifySuspendedUser(
+        suspension.user,
+        'Suspension Ended',
+        'Your suspension has ended. You can post, edit and vote again.',
+        'medium'
+      );
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  issueSuspension,
+  liftSuspension,
+  expireSuspensions
+};
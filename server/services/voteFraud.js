@@ -0,0 +1,335 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
+const Notification = require('../models/Notification');
+const ReputationEvent = require('../models/ReputationEvent');
+const VoteFraudReport = require('../models/VoteFraudReport');
+const { reverseEvent, recordEvent, currentVote } = require('./reputation');
+
+// Detection settings (environment overrides)
+const getWindowMs = () => (parseInt(process.env.VOTE_FRAUD_WINDOW_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Votes from one voter to one target within the window
+const getSerialThreshold = () => parseInt(process.env.VOTE_FRAUD_SERIAL_THRESHOLD, 10) || 5;
+// Upvotes each member of a ring gives another member within the window
+const RING_EDGE_MIN_VOTES = 3;
+// Upvotes between two accounts that signed in from the same address
+const SHARED_IP_MIN_VOTES = 2;
+// How far back sign-ins count when comparing addresses
+const SHARED_IP_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Active (not yet reversed) votes cast since a date, grouped per voter -> target pair
+const loadVoteEdges = async (since) => {
+  const events = await ReputationEvent.find({
+    reason: { $in: ['upvote', 'downvote'] },
+    reversedBy: null,
+    actor: { $ne: null },
+    createdAt: { $gte: since }
+  }).lean();
+
+  const edges = new Map();
+  for (const event of events) {
+    const key = `${event.actor}:${event.user}`;
+    if (!edges.has(key)) {
+      edges.set(key, { key, voter: event.actor.toString(), target: event.user.toString(), events: [] });
+    }
+    edges.get(key).events.push(event);
+  }
+
+  return [...edges.values()];
+};
+
+const upvotesOf = (edge) => edge.events.filter(event => event.reason === 'upvote');
+
+// One voter voting on many posts of one target
+const detectSerialVoting = (edges) => edges
+  .filter(edge => edge.events.length >= getSerialThreshold())
+  .map(edge => ({
+    pattern: 'serial-voting',
+    edges: [edge],
+    details: { votes: edge.events.length }
+  }));
+
+// Groups of accounts that all upvote each other: strongly connected components
+// (Tarjan's algorithm) of the graph of heavy upvote edges
+const detectVotingRings = (edges) => {
+  const heavy = edges.filter(edge => upvotesOf(edge).length >= RING_EDGE_MIN_VOTES);
+
+  const graph = new Map();
+  heavy.forEach(({ voter, target }) => {
+    if (!graph.has(voter)) graph.set(voter, []);
+    if (!graph.has(target)) graph.set(target, []);
+    graph.get(voter).push(target);
+  });
+
+  let index = 0;
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (node) => {
+    indexes.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.get(node)) {
+      if (!indexes.has(next)) {
+        connect(next);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(next)));
+      }
+    }
+
+    if (lowLinks.get(node) === indexes.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of graph.keys()) {
+    if (!indexes.has(node)) {
+      connect(node);
+    }
+  }
+
+  return components
+    .filter(component => component.length >= 2)
+    .map(component => {
+      const members = new Set(component);
+      const ringEdges = heavy.filter(edge => members.has(edge.voter) && members.has(edge.target));
+      return {
+        pattern: 'voting-ring',
+        // Only the upvotes inside the ring are reversed
+        edges: ringEdges.map(edge => ({ ...edge, events: upvotesOf(edge) })),
+        details: { members: component.length }
+      };
+    });
+};
+
+// Addresses each user signed in from recently
+const loadUserIps = async (userIds) => {
+  const since = new Date(Date.now() - SHARED_IP_LOOKBACK_MS);
+  const [logins, sessions] = await Promise.all([
+    LoginHistory.find({ user: { $in: userIds }, success: true, ip: { $ne: null }, createdAt: { $gte: since } })
+      .select('user ip').lean(),
+    Session.find({ user: { $in: userIds }, ip: { $ne: null } }).select('user ip').lean()
+  ]);
+
+  const ips = new Map();
+  [...logins, ...sessions].forEach(({ user, ip }) => {
+    const key = user.toString();
+    if (!ips.has(key)) ips.set(key, new Set());
+    ips.get(key).add(ip);
+  });
+  return ips;
+};
+
+// Upvotes between accounts that share a sign-in address (likely the same person)
+const detectSharedIpVoting = async (edges) => {
+  const candidates = edges.filter(edge => upvotesOf(edge).length >= SHARED_IP_MIN_VOTES);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const userIds = [...new Set(candidates.flatMap(({ voter, target }) => [voter, target]))];
+  const ips = await loadUserIps(userIds);
+
+  return candidates
+    .map(edge => {
+      const voterIps = ips.get(edge.voter) || new Set();
+      const sharedIps = [...(ips.get(edge.target) || [])].filter(ip => voterIps.has(ip));
+      return { edge, sharedIps };
+    })
+    .filter(({ sharedIps }) => sharedIps.length > 0)
+    .map(({ edge, sharedIps }) => ({
+      pattern: 'shared-ip',
+      edges: [{ ...edge, events: upvotesOf(edge) }],
+      details: { sharedIps }
+    }));
+};
+
+// Take a vote off its post and reverse its reputation; returns false if it was already reversed
+const reverseVote = async (event) => {
+  const reversal = await reverseEvent(event);
+  if (!reversal) {
+    return false;
+  }
+
+  const post = event.answer
+    ? await Answer.findById(event.answer)
+    : await Question.findById(event.question);
+
+  if (post) {
+    const field = event.reason === 'upvote' ? 'upvotes' : 'downvotes';
+    post[field] = post[field].filter(vote => !vote.user.equals(event.actor));
+    post.votes = post.upvotes.length - post.downvotes.length;
+    await post.save();
+  }
+
+  return true;
+};
+
+const notifyAffectedUsers = async (report) => {
+  const count = (predicate) => report.votes.filter(predicate).length;
+
+  const notifications = [
+    ...report.voters.map(voter => ({
+      recipient: voter,
+      title: 'Votes Reversed',
+      message: `${count(vote => vote.voter.equals(voter))} of your votes were reversed because an automated review found irregular voting. Votes should reflect the quality of a post, not who wrote it.`,
+      priority: 'high'
+    })),
+    ...report.targets.map(target => ({
+      recipient: target,
+      title: 'Votes Reversed',
+      message: `${count(vote => vote.target.equals(target))} votes on your posts were reversed because an automated review found irregular voting. Your reputation has been adjusted.`,
+      priority: 'medium'
+    }))
+  ];
+
+  for (const notification of notifications) {
+    await Notification.createNotification({ ...notification, type: 'moderation' })
+      .catch(error => console.error('Failed to send vote fraud notification:', error));
+  }
+};
+
+// Reverse the votes of one finding and write its report
+const handleFinding = async (finding, windowStart, windowEnd) => {
+  const votes = [];
+
+  for (const edge of finding.edges) {
+    for (const event of edge.events) {
+      if (await reverseVote(event)) {
+        votes.push({
+          voter: event.actor,
+          target: event.user,
+          direction: event.reason,
+          question: event.question,
+          answer: event.answer,
+          points: event.points,
+          castAt: event.createdAt
+        });
+      }
+    }
+  }
+
+  if (votes.length === 0) {
+    return null;
+  }
+
+  const unique = (ids) => [...new Set(ids.map(id => id.toString()))];
+
+  const report = await VoteFraudReport.create({
+    pattern: finding.pattern,
+    voters: unique(votes.map(vote => vote.voter)),
+    targets: unique(votes.map(vote => vote.target)),
+    votes,
+    details: finding.details,
+    windowStart,
+    windowEnd
+  });
+
+  await notifyAffectedUsers(report);
+  return report;
+};
+
+// Put the votes of a dismissed report back on their posts, with their reputation.
+// A vote is skipped if its post is gone or the voter has voted on the post again since.
+const restoreReportVotes = async (report) => {
+  let restored = 0;
+
+  for (const vote of report.votes) {
+    if (vote.restoredAt) {
+      continue;
+    }
+
+    const post = vote.answer
+      ? await Answer.findById(vote.answer)
+      : await Question.findById(vote.question);
+
+    if (!post || currentVote(post, vote.voter)) {
+      continue;
+    }
+
+    post[`${vote.direction}s`].push({ user: vote.voter, createdAt: vote.castAt });
+    post.votes = post.upvotes.length - post.downvotes.length;
+    await post.save();
+
+    await recordEvent({
+      user: vote.target,
+      points: vote.points,
+      reason: vote.direction,
+      actor: vote.voter,
+      question: vote.question,
+      answer: vote.answer
+    });
+
+    // Marked straight away, so a retry after a later failure does not skip the vote's event
+    vote.restoredAt = new Date();
+    await VoteFraudReport.updateOne(
+      { _id: report._id, 'votes._id': vote._id },
+      { $set: { 'votes.$.restoredAt': vote.restoredAt } }
+    );
+    restored++;
+  }
+
+  const recipients = [...new Set([...report.voters, ...report.targets].map(id => id.toString()))];
+  for (const recipient of recipients) {
+    await Notification.createNotification({
+      recipient,
+      type: 'moderation',
+      title: 'Votes Restored',
+      message: 'A moderator reviewed votes that an automated check had reversed and found nothing wrong. The votes and the reputation they gave have been restored.',
+      priority: 'medium'
+    }).catch(error => console.error('Failed to send vote restore notification:', error));
+  }
+
+  return restored;
+};
+
+// Look for serial voting, voting rings and votes between accounts sharing an address,
+// reverse what is found and report it to moderators. Returns the new reports.
+// A vote is only ever reversed once, so overlapping findings and repeated runs are safe.
+const detectVoteFraud = async () => {
+  const windowEnd = new Date();
+  const windowStart = new Date(windowEnd.getTime() - getWindowMs());
+
+  const edges = await loadVoteEdges(windowStart);
+  if (edges.length === 0) {
+    return [];
+  }
+
+  const findings = [
+    ...detectSerialVoting(edges),
+    ...detectVotingRings(edges),
+    ...await detectSharedIpVoting(edges)
+  ];
+
+  const reports = [];
+  for (const finding of findings) {
+    const report = await handleFinding(finding, windowStart, windowEnd);
+    if (report) {
+      reports.push(report);
+    }
+  }
+
+  return reports;
+};
+
+module.exports = {
+  detectSerialVoting,
+  detectVotingRings,
+  detectVoteFraud,
+  restoreReportVotes
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/reputation', () => ({
+  ...jest.requireActual('../services/reputation'),
+  recordEvent: jest.fn(),
+  reverseEvent: jest.fn()
+}));
+
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ReputationEvent = require('../models/ReputationEvent');
+const { recordEvent, reverseEvent } = require('../services/reputation');
+const {
+  offerBounty,
+  awardBounty,
+  refundBounty,
+  resolveExpiredBounties
+} = require('../services/bounties');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('bounties', () => {
+  const offerer = { _id: id(), username: 'offerer' };
+  let question;
+  let stored;
+  let reputation;
+
+  // The question's stored bounty fields, updated the way the conditional updates would
+  const storedQuestion = () => ({ ...question, featured: stored.featured, bounty: { ...stored.bounty } });
+
+  beforeEach(() => {
+    question = { _id: id(), author: id(), title: 'How?', featured: false, bounty: { amount: 0 } };
+    stored = { featured: false, bounty: { amount: 0, offeredBy: null, expiresAt: null, startedAt: null } };
+    reputation = 200;
+
+    jest.spyOn(Question, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+      const open = stored.featured && stored.bounty.amount > 0;
+      if (filter.featured === true ? !open : stored.featured) {
+        return null;
+      }
+      const previous = storedQuestion();
+      Object.assign(stored, { featured: update.featured, bounty: { ...update.bounty } });
+      return options.new ? storedQuestion() : previous;
+    });
+    jest.spyOn(Question, 'updateOne').mockImplementation(async (filter, update) => {
+      const ours = stored.bounty.offeredBy === filter['bounty.offeredBy'] &&
+        stored.bounty.startedAt === filter['bounty.startedAt'];
+      if (ours) Object.assign(stored, { featured: update.featured, bounty: { ...update.bounty } });
+      return { modifiedCount: ours ? 1 : 0 };
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (!(reputation > filter.reputation.$gt)) return { modifiedCount: 0 };
+      reputation += update.$inc.reputation;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(ReputationEvent, 'create').mockImplementation(async event => ({ _id: id(), ...event }));
+    jest.spyOn(Answer, 'find').mockReturnValue({ distinct: () => Promise.resolve([]) });
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    recordEvent.mockResolvedValue({});
+    reverseEvent.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordEvent.mockReset();
+    reverseEvent.mockReset();
+  });
+
+  describe('offerBounty', () => {
+    test('opens the bounty and takes exactly its amount into escrow', async () => {
+      const updated = await offerBounty(question, offerer, 100);
+
+      expect(updated.bounty).toMatchObject({ amount: 100, offeredBy: offerer._id });
+      expect(reputation).toBe(100);
+      expect(ReputationEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: offerer._id,
+        points: -100,
+        reason: 'bounty'
+      }));
+      // The debit is already applied; recording it through the ledger again would double it
+      expect(recordEvent).not.toHaveBeenCalled();
+    });
+
+    test('refuses an offerer who cannot pay and withdraws the bounty', async () => {
+      reputation = 100;
+
+      await expect(offerBounty(question, offerer, 100)).rejects.toMatchObject({ status: 403 });
+
+      expect(reputation).toBe(100);
+      expect(stored.featured).toBe(false);
+      expect(stored.bounty.amount).toBe(0);
+      expect(ReputationEvent.create).not.toHaveBeenCalled();
+    });
+
+    test('never lets parallel offers spend more reputation than the offerer has', async () => {
+      const questions = [question, { ...question, _id: id() }];
+      // Each question is open, so both claims succeed; only the debit can stop the second offer
+      Question.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...question, _id: filter._id, ...update }));
+
+      const results = await Promise.allSettled(questions.map(target => offerBounty(target, offerer, 150)));
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason.status).toBe(403);
+      expect(reputation).toBe(50);
+      expect(ReputationEvent.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns null when the question already has a bounty', async () => {
+      await offerBounty(question, offerer, 50);
+
+      expect(await offerBounty(question, { _id: id(), username: 'other' }, 50)).toBeNull();
+      expect(reputation).toBe(150);
+    });
+  });
+
+  describe('settling', () => {
+    const escrow = { _id: id(), points: -100 };
+
+    beforeEach(async () => {
+      await offerBounty(question, offerer, 100);
+      Object.assign(question, storedQuestion());
+      jest.spyOn(ReputationEvent, 'findOne').mockReturnValue({ sort: () => Promise.resolve(escrow) });
+    });
+
+    test('refunds the escrow event when the question goes away', async () => {
+      expect(await refundBounty(question)).toBe(100);
+      expect(reverseEvent).toHaveBeenCalledWith(escrow);
+      expect(stored.featured).toBe(false);
+    });
+
+    test('pays a bounty only once', async () => {
+      const answer = { _id: id(), author: id(), bountyAwarded: 0, save: jest.fn().mockResolvedValue() };
+
+      const results = await Promise.all([
+        awardBounty(question, answer, offerer),
+        awardBounty(question, answer, offerer)
+      ]);
+
+      expect(results.sort()).toEqual([100, null]);
+      expect(recordEvent).toHaveBeenCalledTimes(1);
+      expect(recordEvent).toHaveBeenCalledWith(expect.objectContaining({ user: answer.author, points: 100 }));
+      expect(answer.bountyAwarded).toBe(100);
+    });
+
+    test('gives half of an expired bounty to the best new answer', async () => {
+      const answer = { _id: id(), author: id(), bountyAwarded: 0, save: jest.fn().mockResolvedValue() };
+      jest.spyOn(Question, 'find').mockReturnValue({ select: () => Promise.resolve([question]) });
+      jest.spyOn(Answer, 'findOne').mockReturnValue({ sort: () => Promise.resolve(answer) });
+
+      expect(await resolveExpiredBounties()).toEqual({ awarded: 1, refunded: 0 });
+      expect(recordEvent).toHaveBeenCalledWith(expect.objectContaining({ user: answer.author, points: 50 }));
+      expect(reverseEvent).not.toHaveBeenCalled();
+    });
+
+    test('refunds an expired bounty without a qualifying answer', async () => {
+      jest.spyOn(Question, 'find').mockReturnValue({ select: () => Promise.resolve([question]) });
+      jest.spyOn(Answer, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+
+      expect(await resolveExpiredBounties()).toEqual({ awarded: 0, refunded: 1 });
+      expect(reverseEvent).toHaveBeenCalledWith(escrow);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const Notification = require('../models/Notification');
+const {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} = require('../services/loginSecurity');
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// A single stored user standing in for the collection. Each update is applied in one step,
+// the way MongoDB applies a single-document update.
+const createStore = (userId) => {
+  const state = { failedAttempts: 0, lastFailedAt: null, lockUntil: null };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const sameTime = (a, b) => (a === null || b === null ? a === b : a.getTime() === b.getTime());
+
+  const matches = (filter) => {
+    if (!filter._id.equals(userId)) return false;
+    if (filter.$or && !filter.$or.some(condition => matches({ _id: filter._id, ...condition }))) return false;
+
+    const lockUntil = filter['loginSecurity.lockUntil'];
+    if (lockUntil !== undefined) {
+      if (lockUntil instanceof Date || lockUntil === null) {
+        if (!sameTime(state.lockUntil, lockUntil)) return false;
+      } else if ('$lte' in lockUntil) {
+        if (!(state.lockUntil && state.lockUntil <= lockUntil.$lte)) return false;
+      } else if ('$ne' in lockUntil) {
+        if (state.lockUntil === lockUntil.$ne) return false;
+      }
+    }
+
+    const failedAttempts = filter['loginSecurity.failedAttempts'];
+    if (failedAttempts && !(state.failedAttempts > failedAttempts.$gt)) return false;
+
+    return true;
+  };
+
+  const snapshot = () => ({ loginSecurity: { ...state } });
+  const query = (value) => ({ select: () => Promise.resolve(value) });
+
+  return {
+    state,
+    async updateOne(filter, update) {
+      await tick();
+      if (!matches(filter)) return { modifiedCount: 0 };
+
+      if (update.$max) {
+        const lockUntil = update.$max['loginSecurity.lockUntil'];
+        if (!state.lockUntil || lockUntil > state.lockUntil) state.lockUntil = lockUntil;
+      } else if (update.loginSecurity) {
+        Object.assign(state, update.loginSecurity);
+      } else {
+        state.lockUntil = update['loginSecurity.lockUntil'];
+      }
+      return { modifiedCount: 1 };
+    },
+    // Only the failure counter pipeline of registerFailedLogin goes through here
+    findOneAndUpdate(filter, pipeline) {
+      return query((async () => {
+        await tick();
+        const now = pipeline[0].$set['loginSecurity.lastFailedAt'];
+        const withinWindow = state.lastFailedAt && now - state.lastFailedAt < FAILURE_WINDOW_MS;
+        state.failedAttempts = withinWindow ? state.failedAttempts + 1 : 1;
+        state.lastFailedAt = now;
+        return snapshot();
+      })());
+    },
+    findById() {
+      return query(tick().then(snapshot));
+    }
+  };
+};
+
+describe('login security', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const req = { ip: '127.0.0.1', get: () => 'jest' };
+  let store;
+  let user;
+
+  beforeEach(() => {
+    store = createStore(userId);
+    user = { _id: userId, loginSecurity: { failedAttempts: 0, lastFailedAt: null, lockUntil: null } };
+
+    jest.spyOn(User, 'updateOne').mockImplementation(store.updateOne);
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(store.findOneAndUpdate);
+    jest.spyOn(User, 'findById').mockImplementation(store.findById);
+    jest.spyOn(LoginHistory, 'record').mockResolvedValue({});
+    jest.spyOn(LoginHistory, 'isKnownDevice').mockResolvedValue(true);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // One sign-in attempt with a wrong password, as the login route runs it
+  const failedAttempt = async () => {
+    const attempt = await reserveLoginAttempt(user);
+    if (attempt.locked) return 'locked';
+    await registerFailedLogin(user, req, 'password', 'invalid-password', attempt);
+    return 'failed';
+  };
+
+  test('holds the account while an attempt is being checked', async () => {
+    const first = await reserveLoginAttempt(user);
+    const second = await reserveLoginAttempt(user);
+
+    expect(first.locked).toBe(false);
+    expect(second.locked).toBe(true);
+    expect(second.retryAfterSeconds).toBeGreaterThan(0);
+  });
+
+  test('lets only one of many parallel guesses check its password', async () => {
+    const outcomes = await Promise.all(Array.from({ length: 20 }, failedAttempt));
+
+    expect(outcomes.filter(outcome => outcome === 'failed')).toHaveLength(1);
+    expect(store.state.failedAttempts).toBe(1);
+  });
+
+  test('frees the account after a free failed attempt', async () => {
+    await failedAttempt();
+
+    expect(store.state.lockUntil).toBeNull();
+    expect((await reserveLoginAttempt(user)).locked).toBe(false);
+  });
+
+  test('replaces the hold with the progressive delay once the free attempts are used', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect(await failedAttempt()).toBe('failed');
+      if (i < 3) expect(store.state.lockUntil).toBeNull();
+    }
+
+    const delayMs = store.state.lockUntil.getTime() - Date.now();
+    expect(delayMs).toBeGreaterThan(0);
+    expect(delayMs).toBeLessThanOrEqual(1000);
+    expect(await failedAttempt()).toBe('locked');
+    expect(store.state.failedAttempts).toBe(4);
+  });
+
+  test('locks the account and alerts the owner at the threshold', async () => {
+    store.state.failedAttempts = 9;
+    store.state.lastFailedAt = new Date();
+
+    await failedAttempt();
+
+    expect(store.state.lockUntil.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(Notification.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ recipient: userId, title: 'Account temporarily locked' })
+    );
+  });
+
+  test('only releases its own hold', async () => {
+    const attempt = await reserveLoginAttempt(user);
+    const laterLock = new Date(Date.now() + 60 * 1000);
+    store.state.lockUntil = laterLock;
+
+    await releaseLoginAttempt(user, attempt);
+    expect(store.state.lockUntil).toBe(laterLock);
+  });
+
+  test('clears the hold and the failures on a successful sign-in', async () => {
+    store.state.failedAttempts = 2;
+    store.state.lastFailedAt = new Date();
+    await reserveLoginAttempt(user);
+
+    await registerSuccessfulLogin(user, req, 'password');
+
+    expect(store.state).toEqual({ failedAttempts: 0, lastFailedAt: null, lockUntil: null });
+    expect((await reserveLoginAttempt(user)).locked).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+// A tiny in-memory stand-in for the refresh token collection, applying each
+// conditional update in one step the way MongoDB does
+const createStore = () => {
+  const tokens = [];
+
+  const matches = (token, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$gt' in condition) return token[key] > condition.$gt;
+      if ('$ne' in condition) return token[key] !== condition.$ne;
+    }
+    return token[key] === condition;
+  });
+
+  return {
+    tokens,
+    add(token) {
+      tokens.push({ revokedAt: null, replacedBy: null, ...token });
+    },
+    async findOneAndUpdate(filter, update) {
+      await Promise.resolve();
+      const token = tokens.find(candidate => matches(candidate, filter));
+      if (!token) return null;
+      const previous = { ...token };
+      Object.assign(token, update);
+      return previous;
+    },
+    async findOne(filter) {
+      await Promise.resolve();
+      return tokens.find(candidate => matches(candidate, filter)) || null;
+    },
+    async updateOne(filter, update) {
+      const token = tokens.find(candidate => matches(candidate, filter));
+      if (token) Object.assign(token, update);
+    }
+  };
+};
+
+describe('RefreshToken.rotate', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+  let store;
+  let issued;
+
+  beforeEach(() => {
+    store = createStore();
+    store.add({
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      session: sessionId,
+      tokenHash: RefreshToken.hashToken('current'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    issued = 0;
+
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(store.findOneAndUpdate);
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation(store.findOne);
+    jest.spyOn(RefreshToken, 'updateOne').mockImplementation(store.updateOne);
+    jest.spyOn(RefreshToken, 'revokeSession').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'issue').mockImplementation(async () => {
+      issued += 1;
+      return { token: `next-${issued}`, refreshToken: { tokenHash: `hash-${issued}` } };
+    });
+    jest.spyOn(Session, 'isActive').mockResolvedValue(true);
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues a new token and links it to the one it replaces', async () => {
+    const rotated = await RefreshToken.rotate('current');
+
+    expect(rotated.token).toBe('next-1');
+    expect(rotated.user).toBe(userId);
+    expect(store.tokens[0].revokedAt).toBeInstanceOf(Date);
+    expect(store.tokens[0].replacedBy).toBe('hash-1');
+  });
+
+  test('revokes the token before issuing its replacement', async () => {
+    RefreshToken.issue.mockImplementation(async () => {
+      expect(store.tokens[0].revokedAt).toBeInstanceOf(Date);
+      return { token: 'next', refreshToken: { tokenHash: 'hash' } };
+    });
+
+    await RefreshToken.rotate('current');
+    expect(RefreshToken.issue).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets only one of two concurrent exchanges succeed and ends the session', async () => {
+    const results = await Promise.all([RefreshToken.rotate('current'), RefreshToken.rotate('current')]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(issued).toBe(1);
+    expect(RefreshToken.revokeSession).toHaveBeenCalledWith(sessionId);
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: expect.any(Date) }
+    );
+  });
+
+  test('treats a reused token as theft', async () => {
+    await RefreshToken.rotate('current');
+    const reused = await RefreshToken.rotate('current');
+
+    expect(reused).toBeNull();
+    expect(RefreshToken.revokeSession).toHaveBeenCalledWith(sessionId);
+  });
+
+  test('rejects an unknown token without touching any session', async () => {
+    const result = await RefreshToken.rotate('unknown');
+
+    expect(result).toBeNull();
+    expect(RefreshToken.revokeSession).not.toHaveBeenCalled();
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects an expired token', async () => {
+    store.tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect(await RefreshToken.rotate('current')).toBeNull();
+    expect(RefreshToken.issue).not.toHaveBeenCalled();
+  });
+
+  test('does not issue a token for a revoked session', async () => {
+    Session.isActive.mockResolvedValue(false);
+
+    expect(await RefreshToken.rotate('current')).toBeNull();
+    expect(RefreshToken.issue).not.toHaveBeenCalled();
+  });
+});
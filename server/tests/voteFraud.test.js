@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/reputation', () => ({
+  ...jest.requireActual('../services/reputation'),
+  recordEvent: jest.fn(),
+  reverseEvent: jest.fn()
+}));
+
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Notification = require('../models/Notification');
+const ReputationEvent = require('../models/ReputationEvent');
+const VoteFraudReport = require('../models/VoteFraudReport');
+const { recordEvent, reverseEvent } = require('../services/reputation');
+const {
+  detectSerialVoting,
+  detectVotingRings,
+  detectVoteFraud,
+  restoreReportVotes
+} = require('../services/voteFraud');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const voteEvent = (voter, target, reason = 'upvote') => ({
+  _id: id(),
+  actor: voter,
+  user: target,
+  reason,
+  points: reason === 'upvote' ? 10 : -2,
+  question: id(),
+  answer: null,
+  createdAt: new Date()
+});
+
+const edge = (voter, target, count, reason = 'upvote') => ({
+  key: `${voter}:${target}`,
+  voter: voter.toString(),
+  target: target.toString(),
+  events: Array.from({ length: count }, () => voteEvent(voter, target, reason))
+});
+
+const post = (upvoters = []) => ({
+  upvotes: upvoters.map(user => ({ user })),
+  downvotes: [],
+  votes: upvoters.length,
+  save: jest.fn().mockResolvedValue()
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  recordEvent.mockReset();
+  reverseEvent.mockReset();
+});
+
+describe('detectSerialVoting', () => {
+  test('flags a voter who voted on one user\'s posts at the threshold', () => {
+    const findings = detectSerialVoting([edge(id(), id(), 5), edge(id(), id(), 4)]);
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ pattern: 'serial-voting', details: { votes: 5 } });
+  });
+});
+
+describe('detectVotingRings', () => {
+  test('finds accounts that all upvote each other', () => {
+    const [a, b, c, outsider] = [id(), id(), id(), id()];
+    const findings = detectVotingRings([
+      edge(a, b, 3),
+      edge(b, c, 3),
+      edge(c, a, 3),
+      edge(outsider, a, 3)
+    ]);
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0].details).toEqual({ members: 3 });
+    expect(findings[0].edges.map(ringEdge => ringEdge.voter)).not.toContain(outsider.toString());
+  });
+
+  test('ignores one-way or light voting', () => {
+    const [a, b] = [id(), id()];
+    expect(detectVotingRings([edge(a, b, 5), edge(b, a, 2)])).toEqual([]);
+  });
+});
+
+describe('detectVoteFraud', () => {
+  test('reverses serial votes once and reports them', async () => {
+    const [voter, target] = [id(), id()];
+    const serial = edge(voter, target, 5, 'downvote');
+    const questions = new Map(serial.events.map(event => [event.question.toString(), {
+      upvotes: [],
+      downvotes: [{ user: voter }],
+      votes: -1,
+      save: jest.fn().mockResolvedValue()
+    }]));
+
+    jest.spyOn(ReputationEvent, 'find').mockReturnValue({ lean: () => Promise.resolve(serial.events) });
+    jest.spyOn(Question, 'findById').mockImplementation(async questionId => questions.get(questionId.toString()));
+    jest.spyOn(VoteFraudReport, 'create').mockImplementation(async report => report);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    // One event was already reversed by an overlapping finding
+    reverseEvent.mockImplementation(async event => (event === serial.events[0] ? null : { _id: id() }));
+
+    const reports = await detectVoteFraud();
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0].pattern).toBe('serial-voting');
+    expect(reports[0].votes).toHaveLength(4);
+    expect(reverseEvent).toHaveBeenCalledTimes(5);
+    serial.events.slice(1).forEach(event => {
+      expect(questions.get(event.question.toString()).downvotes).toEqual([]);
+    });
+  });
+});
+
+describe('restoreReportVotes', () => {
+  const reportOf = (votes) => ({
+    _id: id(),
+    voters: [...new Set(votes.map(vote => vote.voter))],
+    targets: [...new Set(votes.map(vote => vote.target))],
+    votes
+  });
+
+  const reversedVote = (voter = id()) => ({
+    _id: id(),
+    voter,
+    target: id(),
+    direction: 'upvote',
+    question: id(),
+    answer: null,
+    points: 10,
+    castAt: new Date(),
+    restoredAt: null
+  });
+
+  let posts;
+
+  beforeEach(() => {
+    posts = new Map();
+    jest.spyOn(Question, 'findById').mockImplementation(async questionId => posts.get(questionId.toString()) || null);
+    jest.spyOn(Answer, 'findById').mockResolvedValue(null);
+    jest.spyOn(VoteFraudReport, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    recordEvent.mockResolvedValue({});
+  });
+
+  test('puts the votes back with their reputation and marks each one', async () => {
+    const votes = [reversedVote(), reversedVote()];
+    votes.forEach(vote => posts.set(vote.question.toString(), post()));
+
+    const restored = await restoreReportVotes(reportOf(votes));
+
+    expect(restored).toBe(2);
+    votes.forEach(vote => {
+      expect(posts.get(vote.question.toString()).upvotes.map(upvote => upvote.user)).toEqual([vote.voter]);
+      expect(recordEvent).toHaveBeenCalledWith(expect.objectContaining({
+        user: vote.target,
+        actor: vote.voter,
+        points: 10,
+        reason: 'upvote'
+      }));
+      expect(VoteFraudReport.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ 'votes._id': vote._id }),
+        { $set: { 'votes.$.restoredAt': expect.any(Date) } }
+      );
+    });
+  });
+
+  test('skips votes whose post is gone or whose voter has voted again', async () => {
+    const gone = reversedVote();
+    const revoted = reversedVote();
+    posts.set(revoted.question.toString(), post([revoted.voter]));
+
+    const restored = await restoreReportVotes(reportOf([gone, revoted]));
+
+    expect(restored).toBe(0);
+    expect(recordEvent).not.toHaveBeenCalled();
+  });
+
+  test('a retry after a failure restores the rest without repeating any vote', async () => {
+    const votes = [reversedVote(), reversedVote()];
+    votes.forEach(vote => posts.set(vote.question.toString(), post()));
+    recordEvent.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(restoreReportVotes(reportOf(votes))).rejects.toThrow('write failed');
+    expect(VoteFraudReport.updateOne).toHaveBeenCalledTimes(1);
+
+    // Reload as stored: only the first vote was marked
+    const stored = votes.map((vote, index) => ({ ...vote, restoredAt: index === 0 ? new Date() : null }));
+    posts.set(votes[1].question.toString(), post());
+    recordEvent.mockReset();
+    recordEvent.mockResolvedValue({});
+
+    const restored = await restoreReportVotes(reportOf(stored));
+
+    expect(restored).toBe(1);
+    expect(recordEvent).toHaveBeenCalledTimes(1);
+    expect(recordEvent).toHaveBeenCalledWith(expect.objectContaining({ actor: votes[1].voter }));
+  });
+});
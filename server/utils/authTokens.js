@@ -0,0 +1,72 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+// Access tokens are short-lived; refresh tokens keep the session going
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      sid: sessionId,
+      tv: user.tokenVersion || 0
+    },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Start a new session for a user and return both tokens
+const issueAuthTokens = async (user, req) => {
+  // The session lives as long as its newest refresh token; issue() sets the real expiry
+  const session = await Session.start(user._id, req, new Date());
+  const { token: refreshToken } = await RefreshToken.issue(user._id, session._id, req ? req.ip : null);
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken
+  };
+};
+
+// Decode an access token (throws on bad signature or expiry like jwt.verify)
+const decodeAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Check whether a decoded access token was revoked after it was issued
+const isAccessTokenRevoked = async (decoded, user) => {
+  // Tokens issued before sessions existed cannot be revoked, so they are refused
+  if (!decoded.sid) {
+    return true;
+  }
+
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return true;
+  }
+
+  return !(await Session.isActive(decoded.sid));
+};
+
+// Signed single-purpose tokens (email verification, login challenges, ...)
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, getJwtSecret(), { expiresIn });
+};
+
+// Verify a single-purpose token; returns null when invalid, expired or meant for something else
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getJwtSecret,
+  generateAccessToken,
+  issueAuthTokens,
+  decodeAccessToken,
+  isAccessTokenRevoked,
+  generatePurposeToken,
+  verifyPurposeToken
+};
@@ -0,0 +1,99 @@
+// Word-level diff of two texts (longest common subsequence over words, whitespace and HTML tags)
+
+// Above this many LCS cells the changed middle is reported as one delete plus one insert
+const MAX_DIFF_CELLS = 4000000;
+
+// Split text into words, runs of whitespace and HTML tags so that joining the tokens gives the text back
+const tokenize = (text = '') => (text.match(/<[^>]*>|\s+|[^\s<]+|</g) || []);
+
+// Append a token to the segment list, merging runs of the same kind
+const pushSegment = (segments, type, value) => {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    segments.push({ type, value });
+  }
+};
+
+// LCS table over the changed middle; cell (i, j) holds the LCS length of a[i..] and b[j..]
+const lcsTable = (a, b) => {
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  return table;
+};
+
+// Diff two strings into [{ type: 'equal' | 'insert' | 'delete', value }]
+const diffWords = (before = '', after = '') => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const segments = [];
+
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(token => pushSegment(segments, 'equal', token));
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+
+  if ((middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS) {
+    middleA.forEach(token => pushSegment(segments, 'delete', token));
+    middleB.forEach(token => pushSegment(segments, 'insert', token));
+  } else {
+    const table = lcsTable(middleA, middleB);
+    const width = middleB.length + 1;
+    let i = 0;
+    let j = 0;
+
+    while (i < middleA.length && j < middleB.length) {
+      if (middleA[i] === middleB[j]) {
+        pushSegment(segments, 'equal', middleA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        pushSegment(segments, 'delete', middleA[i]);
+        i++;
+      } else {
+        pushSegment(segments, 'insert', middleB[j]);
+        j++;
+      }
+    }
+    middleA.slice(i).forEach(token => pushSegment(segments, 'delete', token));
+    middleB.slice(j).forEach(token => pushSegment(segments, 'insert', token));
+  }
+
+  a.slice(endA).forEach(token => pushSegment(segments, 'equal', token));
+
+  return segments;
+};
+
+// Compare two tag lists
+const diffTags = (before = [], after = []) => ({
+  added: after.filter(tag => !before.includes(tag)),
+  removed: before.filter(tag => !after.includes(tag)),
+  unchanged: after.filter(tag => before.includes(tag))
+});
+
+module.exports = {
+  diffWords,
+  diffTags
+};
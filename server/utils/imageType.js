@@ -0,0 +1,48 @@
+const fs = require('fs');
+
+// Leading bytes of the image formats accepted for uploads
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: 'jpg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  {
+    mime: 'image/png',
+    ext: 'png',
+    matches: (bytes) => [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((byte, i) => bytes[i] === byte)
+  },
+  {
+    mime: 'image/gif',
+    ext: 'gif',
+    matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('ascii'))
+  },
+  {
+    mime: 'image/webp',
+    ext: 'webp',
+    matches: (bytes) => bytes.subarray(0, 4).toString('ascii') === 'RIFF' && bytes.subarray(8, 12).toString('ascii') === 'WEBP'
+  }
+];
+
+// Identify an image from its content; returns { mime, ext } or null for anything else
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+// Same as detectImageType, reading the first bytes of a file on disk
+const detectImageTypeFromFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(buffer, 0, 12, 0);
+    return detectImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  detectImageType,
+  detectImageTypeFromFile
+};
@@ -0,0 +1,14 @@
+// Targets of the links in sanitized post HTML (sanitize-html always quotes attributes)
+const extractLinks = (html = '') =>
+  [...html.matchAll(/<a\s[^>]*href="([^"]*)"/gi)].map(match => match[1]);
+
+// Whether new HTML links anywhere the previous version did not
+const addsLinks = (html, previousHtml = '') => {
+  const existing = new Set(extractLinks(previousHtml));
+  return extractLinks(html).some(href => !existing.has(href));
+};
+
+module.exports = {
+  extractLinks,
+  addsLinks
+};
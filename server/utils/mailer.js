@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directory used by the outbox transport (local development and tests)
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox');
+
+const defaultFrom = () => process.env.MAIL_FROM || 'StackIt <no-reply@stackit.local>';
+
+// Transport that prints messages to the server log
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Mail to %s: %s\n%s', message.to, message.subject, message.text);
+    return { id: null };
+  }
+};
+
+// Transport that writes every message as a JSON file
+const outboxTransport = {
+  send: async (message) => {
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      id,
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { id, path: filePath };
+  }
+};
+
+// Transport that delivers through an SMTP server (nodemailer is loaded lazily)
+let smtpClient = null;
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpClient) {
+      const nodemailer = require('nodemailer');
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    }
+
+    const info = await smtpClient.sendMail(message);
+    return { id: info.messageId };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  outbox: outboxTransport,
+  smtp: smtpTransport
+};
+
+// Register a custom transport; it only needs an async send(message) method
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Send a message through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: defaultFrom(),
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  getTransport,
+  outboxDir
+};
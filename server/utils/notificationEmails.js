@@ -0,0 +1,58 @@
+// Email versions of notifications: one message per notification, or a digest of several
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const linkFor = (notification) => `${clientUrl()}${notification.actionUrl || '/notifications'}`;
+
+const footer = () => {
+  const settingsUrl = `${clientUrl()}/settings`;
+  return {
+    text: `\n\nChoose which notifications you get by email in your settings:\n${settingsUrl}`,
+    html: `<p style="color:#6b7280;font-size:12px">Choose which notifications you get by email in your <a href="${settingsUrl}">settings</a>.</p>`
+  };
+};
+
+// Single notification, sent as soon as it is created
+const buildNotificationEmail = (user, notification) => {
+  const link = linkFor(notification);
+  const { text, html } = footer();
+
+  return {
+    to: user.email,
+    subject: `StackIt: ${notification.title}`,
+    text: `Hi ${user.username},\n\n${notification.message}\n\n${link}${text}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>${escapeHtml(notification.message)}</p><p><a href="${link}">View on StackIt</a></p>${html}`
+  };
+};
+
+// Summary of notifications collected since the last digest; remaining counts the ones left out
+const buildDigestEmail = (user, notifications, remaining = 0) => {
+  const total = notifications.length + remaining;
+  const { text, html } = footer();
+  const more = remaining > 0 ? `and ${remaining} more` : '';
+
+  return {
+    to: user.email,
+    subject: `StackIt: ${total} new notification${total === 1 ? '' : 's'}`,
+    text: [
+      `Hi ${user.username}, here is what happened since your last digest:`,
+      '',
+      ...notifications.map(notification => `- ${notification.message} (${linkFor(notification)})`),
+      ...(more ? [more] : [])
+    ].join('\n') + text,
+    html: `<p>Hi ${escapeHtml(user.username)}, here is what happened since your last digest:</p><ul>${
+      notifications.map(notification => `<li><a href="${linkFor(notification)}">${escapeHtml(notification.message)}</a></li>`).join('')
+    }</ul>${more ? `<p>${more}</p>` : ''}${html}`
+  };
+};
+
+module.exports = {
+  buildNotificationEmail,
+  buildDigestEmail
+};
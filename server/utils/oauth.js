@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Helper to base64url encode a buffer (RFC 7636 PKCE values)
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const generateRandomToken = (bytes = 32) => base64Url(crypto.randomBytes(bytes));
+
+// PKCE code verifier and its S256 challenge
+const createPkcePair = () => {
+  const codeVerifier = generateRandomToken(48);
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const formHeaders = {
+  'Content-Type': 'application/x-www-form-urlencoded',
+  Accept: 'application/json'
+};
+
+// Every provider exposes the same shape:
+//   getAuthorizationUrl({ state, codeChallenge, redirectUri }) -> Promise<string>
+//   exchangeCode({ code, codeVerifier, redirectUri })          -> Promise<tokens>
+//   getProfile(tokens) -> Promise<{ subject, email, emailVerified, name, preferredUsername }>
+
+// Generic OpenID Connect provider configured through discovery
+const createOidcProvider = ({ name, displayName, issuer, clientId, clientSecret, scopes = ['openid', 'email', 'profile'] }) => {
+  let discovery = null;
+
+  const discover = async () => {
+    if (!discovery) {
+      const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const { data } = await axios.get(url);
+      discovery = data;
+    }
+    return discovery;
+  };
+
+  return {
+    name,
+    displayName: displayName || name,
+
+    getAuthorizationUrl: async ({ state, codeChallenge, redirectUri }) => {
+      const { authorization_endpoint: endpoint } = await discover();
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `${endpoint}?${params.toString()}`;
+    },
+
+    exchangeCode: async ({ code, codeVerifier, redirectUri }) => {
+      const { token_endpoint: endpoint } = await discover();
+      const { data } = await axios.post(endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret || '',
+        code_verifier: codeVerifier
+      }).toString(), { headers: formHeaders });
+      return data;
+    },
+
+    // Claims come from the userinfo endpoint, fetched with the access token we
+    // just received from the token endpoint over a direct back-channel call
+    getProfile: async (tokens) => {
+      const { userinfo_endpoint: endpoint } = await discover();
+      const { data } = await axios.get(endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      return {
+        subject: String(data.sub),
+        email: data.email ? data.email.toLowerCase() : null,
+        emailVerified: data.email_verified === true || data.email_verified === 'true',
+        name: data.name || null,
+        preferredUsername: data.preferred_username || data.nickname || null
+      };
+    }
+  };
+};
+
+// GitHub preset (OAuth2 with PKCE; profile and verified email come from the REST API)
+const createGithubProvider = ({ clientId, clientSecret }) => {
+  const apiHeaders = (tokens) => ({
+    Authorization: `Bearer ${tokens.access_token}`,
+    Accept: 'application/vnd.github+json'
+  });
+
+  return {
+    name: 'github',
+    displayName: 'GitHub',
+
+    getAuthorizationUrl: async ({ state, codeChallenge, redirectUri }) => {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'read:user user:email',
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `https://github.com/login/oauth/authorize?${params.toString()}`;
+    },
+
+    exchangeCode: async ({ code, codeVerifier, redirectUri }) => {
+      const { data } = await axios.post('https://github.com/login/oauth/access_token', new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      }).toString(), { headers: formHeaders });
+
+      if (data.error) {
+        throw new Error(data.error_description || data.error);
+      }
+      return data;
+    },
+
+    getProfile: async (tokens) => {
+      const [{ data: profile }, { data: emails }] = await Promise.all([
+        axios.get('https://api.github.com/user', { headers: apiHeaders(tokens) }),
+        axios.get('https://api.github.com/user/emails', { headers: apiHeaders(tokens) })
+      ]);
+      const primary = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified);
+
+      return {
+        subject: String(profile.id),
+        email: primary ? primary.email.toLowerCase() : null,
+        emailVerified: !!primary,
+        name: profile.name || null,
+        preferredUsername: profile.login || null
+      };
+    }
+  };
+};
+
+module.exports = {
+  generateRandomToken,
+  createPkcePair,
+  createOidcProvider,
+  createGithubProvider
+};